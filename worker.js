@@ -1,18 +1,267 @@
 // Cloudflare Worker for FFXIV Market Search
 // Single file serving both frontend and API
 
-const DEFAULT_WORLD = 'Elemental'; // デフォルトワールド
-const CACHE_TTL = 60; // キャッシュTTL（秒）
 const XIVAPI_BASE = 'https://v2.xivapi.com/api'; // XIVAPI v2
 const UNIVERSALIS_BASE = 'https://universalis.app/api/v2';
+const WORLD_CACHE_TTL = 86400; // ワールド構成のキャッシュTTL（秒）
+const CACHE_ORIGIN = 'https://ffxiv-market-search.cache'; // Cache API のキー用オリジン
+const HISTORY_MAX_RANGE = 90 * 86400; // Universalis の取引履歴だけで表示できる最大期間（秒）
+const ARCHIVE_MAX_RANGE = 3650 * 86400; // アーカイブ（D1）を含めて指定できる最大期間（秒）
+const REGION_HISTORY_ENTRIES = 10000;  // リージョン取引履歴として取得する件数
+const SALES_HISTORY_ENTRIES = 10000;   // ワールド別の取引履歴（販売速度の集計用）として取得する件数の上限
+const MAX_TRACKED_ITEMS = 50;          // 日次アーカイブの対象にできるアイテム数の上限
+const MAX_ARBITRAGE_ITEMS = 20;        // アービトラージ計算で一度に指定できるアイテム数の上限
+const THIN_MARKET_MIN_SALES = 5;       // 統計期間内の取引がこれ未満のワールドは売値の見込みが不確か
+const MARKET_TAX_RATE = 0.05;          // 標準のマーケット税率（リテイナーの所属都市が分からない場合や、税率を取得できない場合に使用）
+const TAX_RATE_CACHE_TTL = 3600;       // ワールド別税率のキャッシュTTL（秒）
+const MAX_SHOPPING_ITEMS = 50;         // 買い物リストで一度に指定できるアイテム数の上限（Universalis の一括取得は100件まで）
+const SHOPPING_MODES = ['cheapest', 'min_worlds'];
+const MAX_RECIPE_DEPTH = 5;            // レシピを展開する最大の段数
+const MAX_RECIPE_ITEMS = 100;          // レシピツリーに含めるアイテム数の上限
+const RECIPE_SEARCH_LIMIT = 100;       // レシピ検索1回あたりの取得件数
+const MAX_USED_IN_PRODUCTS = 50;       // 使用先として評価する完成品の上限
+const MAX_VENDOR_RESULTS = 200;        // NPC販売品の一括比較で一度に返す件数の上限
+const MAX_CURRENCY_RESULTS = 100;      // 通貨交換ランキングで一度に返す件数の上限
+const TOMESTONE_CURRENCY_TYPE = 16;    // SpecialShop の UseCurrencyType がこの値のショップは、対価が TomestonesItem の行IDで指定される
+// SpecialShop の対価がこれらの番号の場合（トークンのショップ以外）は、アイテムIDではなくスクリップの番号を表す
+// （番号 → スクリップのアイテムID。紫貨:職人 / 紫貨:採集 / 橙貨:職人 / 橙貨:採集）
+const SCRIP_CURRENCY_ITEMS = new Map([[2, 33913], [4, 33914], [6, 41784], [7, 41785]]);
+const UNDERCUT_BAND = 0.05;             // 最安値からこの割合以内の出品は値下げ競争の相手とみなす
+const CROWDED_MARKET_LISTINGS = 5;     // 最安値付近にこれ以上の出品があると、すぐに値下げされる見込みが高い
+const OUTLIER_WINDOW = 30 * 86400;     // 外れ値判定の基準にする取引履歴の期間（秒）
+const OUTLIER_MIN_REFERENCE = 5;       // 基準にする価格がこれ未満の場合は外れ値を判定しない
+const OUTLIER_Z_THRESHOLD = 3.5;       // 対数価格の修正Zスコアがこれを超えるものを外れ値とみなす
+const OUTLIER_MIN_MAD = Math.log(1.25); // MAD の下限（価格がほぼ一定の市場で、わずかな差を外れ値としないため）
+// exclude: 外れ値を集計から除く / hide: 出品一覧からも除く / include: 判定のみ行い集計に含める
+const OUTLIER_MODES = ['exclude', 'hide', 'include'];
+const STALE_UPLOAD_AGE = 24 * 3600;   // 最終アップロードからこれ以上経過したワールドのデータは古いとみなす（秒）
+const STATS_WINDOW = 7 * 86400;       // 統計情報で対象にする取引履歴の期間（秒）
+const DEFAULT_PER_PAGE = 20;          // 出品一覧の1ページあたりの件数
+const MAX_PER_PAGE = 100;             // 出品一覧の1ページあたりの最大件数
+const MAX_LISTING_PRICE = 999999999;  // 価格フィルターの上限
+
+// 出品一覧の並び替え（sort パラメータで指定可能な値）
+const LISTING_SORTS = {
+  price_asc: (a, b) => a.pricePerUnit - b.pricePerUnit,
+  price_desc: (a, b) => b.pricePerUnit - a.pricePerUnit,
+  total_asc: (a, b) => a.total - b.total,
+  total_desc: (a, b) => b.total - a.total,
+  quantity_asc: (a, b) => a.quantity - b.quantity,
+  quantity_desc: (a, b) => b.quantity - a.quantity,
+  recent: (a, b) => b.lastReviewTime - a.lastReviewTime,
+  oldest: (a, b) => a.lastReviewTime - b.lastReviewTime,
+  world_asc: (a, b) => (a.worldName || '').localeCompare(b.worldName || ''),
+  world_desc: (a, b) => (b.worldName || '').localeCompare(a.worldName || ''),
+};
+
+// 取引履歴の集計単位と区間の長さ（秒）
+const HISTORY_GRANULARITIES = {
+  hour: 3600,
+  day: 86400,
+  week: 7 * 86400,
+};
+
+// XIVAPI DataCenter.Region の値と Universalis のリージョン名の対応
+const REGION_NAMES = {
+  1: 'Japan',
+  2: 'North-America',
+  3: 'Europe',
+  4: 'Oceania',
+  5: '中国',
+  6: '한국',
+};
+
+// Universalis の retainerCity の値と、税率APIのキー・表示名の対応
+const RETAINER_CITIES = {
+  1: { key: 'Limsa Lominsa', name: 'リムサ・ロミンサ' },
+  2: { key: 'Gridania', name: 'グリダニア' },
+  3: { key: "Ul'dah", name: 'ウルダハ' },
+  4: { key: 'Ishgard', name: 'イシュガルド' },
+  7: { key: 'Kugane', name: 'クガネ' },
+  10: { key: 'Crystarium', name: 'クリスタリウム' },
+  12: { key: 'Old Sharlayan', name: 'オールド・シャーレアン' },
+  14: { key: 'Tuliyollal', name: 'トライヨラ' },
+};
+
+// 交換に使う特殊通貨（キーは currency パラメータの値、itemIds は通貨のアイテムID）
+// budget は予算を指定しない場合の使用量で、週の獲得上限または所持上限の目安
+// seals は3つのグランドカンパニー共通の軍票で、交換表は GCScripShopItem シートから取得する
+const EXCHANGE_CURRENCIES = {
+  poetics: { itemIds: [28], name: 'アラガントームストーン:詩学', budget: 2000 },
+  purple_crafters_scrip: { itemIds: [33913], name: '紫貨:職人', budget: 4000 },
+  purple_gatherers_scrip: { itemIds: [33914], name: '紫貨:採集', budget: 4000 },
+  orange_crafters_scrip: { itemIds: [41784], name: '橙貨:職人', budget: 4000 },
+  orange_gatherers_scrip: { itemIds: [41785], name: '橙貨:採集', budget: 4000 },
+  allied_seals: { itemIds: [27], name: '同盟記章', budget: 4000 },
+  centurio_seals: { itemIds: [10307], name: 'セントゥリオ記章', budget: 4000 },
+  bicolor_gemstones: { itemIds: [26807], name: 'バイカラージェム', budget: 1500 },
+  wolf_marks: { itemIds: [25], name: '対人戦績', budget: 20000 },
+  seals: { itemIds: [20, 21, 22], name: '軍票', budget: 90000 },
+};
+
+// 設定のデフォルト値（wrangler.toml の [vars] / secret で上書き）
+const DEFAULT_CONFIG = {
+  defaultWorld: 'Elemental', // world パラメータ未指定時のワールド
+  cacheTtl: 60,              // ワールド別マーケットスナップショットのキャッシュTTL（秒）
+  historyCacheTtl: 600,      // リージョン取引履歴のキャッシュTTL（秒）
+  itemCacheTtl: 86400,       // アイテム解決結果のキャッシュTTL（秒）
+  staleWhileRevalidate: 300, // TTL 経過後に古いデータを返しつつ裏で更新する猶予（秒）
+  staleIfError: 86400,       // 上流障害時に最後の取得データを返せる猶予（秒）
+  xivapiKey: null,           // XIVAPI APIキー（任意）
+  alertWebhookUrl: null,     // 価格アラートのデフォルト通知先 Webhook URL（任意）
+  alertApiToken: null,       // アラート・リテイナー監視・スキャンAPIの認証トークン（未設定の場合はこれらの API を無効にする）
+  trackedItemIds: [],        // 日次アーカイブの対象アイテムID
+};
 
 export default {
   async fetch(request, env, ctx) {
-    return handleRequest(request, env, ctx);
+    let config;
+    try {
+      config = getConfig(env);
+    } catch (error) {
+      console.error(`[Config] 設定エラー: ${error.message}`);
+      return jsonResponse({ error: 'config_error', message: 'サーバー設定が不正です' }, 500);
+    }
+    return handleRequest(request, env, ctx, config);
+  },
+
+  async scheduled(event, env, ctx) {
+    let config;
+    try {
+      config = getConfig(env);
+    } catch (error) {
+      console.error(`[Config] 設定エラー: ${error.message}`);
+      return;
+    }
+    ctx.waitUntil(runScheduledJobs(event, env, ctx, config));
+  }
+};
+
+// env ごとに検証済みの設定を保持（isolate 起動後の初回リクエストで検証）
+const configCache = new WeakMap();
+
+function getConfig(env) {
+  if (!env) return { ...DEFAULT_CONFIG };
+  if (!configCache.has(env)) {
+    const config = loadConfig(env);
+    console.log(`[Config] 設定読み込み完了: defaultWorld="${config.defaultWorld}", cacheTtl=${config.cacheTtl}, historyCacheTtl=${config.historyCacheTtl}, itemCacheTtl=${config.itemCacheTtl}, staleWhileRevalidate=${config.staleWhileRevalidate}, staleIfError=${config.staleIfError}, xivapiKey=${config.xivapiKey ? '設定あり' : 'なし'}, alertWebhookUrl=${config.alertWebhookUrl ? '設定あり' : 'なし'}, alertApiToken=${config.alertApiToken ? '設定あり' : 'なし'}, trackedItemIds=${config.trackedItemIds.length}件`);
+    configCache.set(env, config);
+  }
+  return configCache.get(env);
+}
+
+function loadConfig(env) {
+  const errors = [];
+  const config = { ...DEFAULT_CONFIG };
+
+  if (env.DEFAULT_WORLD !== undefined) {
+    const world = String(env.DEFAULT_WORLD).trim();
+    if (!/^[A-Za-z-]+$/.test(world)) {
+      errors.push(`DEFAULT_WORLD が不正です: "${env.DEFAULT_WORLD}"`);
+    }
+    config.defaultWorld = world;
+  }
+
+  const ttlVars = [
+    ['CACHE_TTL', 'cacheTtl'],
+    ['HISTORY_CACHE_TTL', 'historyCacheTtl'],
+    ['ITEM_CACHE_TTL', 'itemCacheTtl'],
+    ['STALE_WHILE_REVALIDATE', 'staleWhileRevalidate'],
+    ['STALE_IF_ERROR', 'staleIfError'],
+  ];
+  ttlVars.forEach(([name, key]) => {
+    if (env[name] === undefined) return;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value <= 0 || value > 604800) {
+      errors.push(`${name} は 1〜604800 の整数で指定してください: "${env[name]}"`);
+      return;
+    }
+    config[key] = value;
+  });
+
+  if (env.XIVAPI_KEY !== undefined && env.XIVAPI_KEY !== '') {
+    if (typeof env.XIVAPI_KEY !== 'string' || /\s/.test(env.XIVAPI_KEY)) {
+      errors.push('XIVAPI_KEY が不正です');
+    }
+    config.xivapiKey = env.XIVAPI_KEY;
+  }
+
+  if (env.ALERT_WEBHOOK_URL !== undefined && env.ALERT_WEBHOOK_URL !== '') {
+    if (!isHttpsUrl(env.ALERT_WEBHOOK_URL)) {
+      errors.push('ALERT_WEBHOOK_URL は https:// で始まるURLを指定してください');
+    }
+    config.alertWebhookUrl = env.ALERT_WEBHOOK_URL;
+  }
+
+  if (env.ALERT_API_TOKEN !== undefined && env.ALERT_API_TOKEN !== '') {
+    if (typeof env.ALERT_API_TOKEN !== 'string' || /\s/.test(env.ALERT_API_TOKEN)) {
+      errors.push('ALERT_API_TOKEN が不正です');
+    }
+    config.alertApiToken = env.ALERT_API_TOKEN;
+  }
+
+  if (env.TRACKED_ITEM_IDS !== undefined && String(env.TRACKED_ITEM_IDS).trim() !== '') {
+    const ids = String(env.TRACKED_ITEM_IDS).split(',').map(id => id.trim());
+    if (!ids.every(id => /^\d+$/.test(id) && Number(id) > 0)) {
+      errors.push(`TRACKED_ITEM_IDS はカンマ区切りのアイテムIDで指定してください: "${env.TRACKED_ITEM_IDS}"`);
+    } else if (ids.length > MAX_TRACKED_ITEMS) {
+      errors.push(`TRACKED_ITEM_IDS は最大${MAX_TRACKED_ITEMS}件まで指定できます`);
+    }
+    config.trackedItemIds = [...new Set(ids.map(Number))];
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join(' / '));
+  }
+  return config;
+}
+
+// 上流のデータを取得して初めて分かる設定の誤り（DEFAULT_WORLD が実在しないなど）
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// DEFAULT_WORLD の実在確認が済んだ設定（loadConfig では形式しか検証できないため、デフォルトワールドを使う時点で1回だけ確認する）
+// ワールド一覧など DEFAULT_WORLD を使わない API は、設定に誤りがあってもそのまま応答する
+const verifiedConfigs = new WeakSet();
+
+function verifyDefaultWorld(config, topology) {
+  if (verifiedConfigs.has(config)) return;
+  if (!resolveScope(topology, config.defaultWorld)) {
+    throw new ConfigError(`DEFAULT_WORLD がワールド構成に見つかりません: "${config.defaultWorld}"`);
   }
+  verifiedConfigs.add(config);
+}
+
+// Cron Trigger ごとに実行する定期ジョブ（wrangler.toml の [triggers] crons と対応させる）
+const SCHEDULED_JOBS = {
+  '*/10 * * * *': [['alerts', evaluateAlerts], ['retainers', evaluateRetainerWatches]],
+  '15 * * * *': [['scanner', runScans]],
+  '30 0 * * *': [['archive', archiveDailyAggregates], ['vendors', warmVendorTable]],
 };
 
-async function handleRequest(request) {
+async function runScheduledJobs(event, env, ctx, config) {
+  const jobs = SCHEDULED_JOBS[event.cron] || [];
+  if (jobs.length === 0) {
+    console.log(`[Scheduled] 対応するジョブがありません: cron="${event.cron}"`);
+    return;
+  }
+  // ジョブ同士は独立しているため、1つが失敗しても残りは実行する
+  for (const [name, job] of jobs) {
+    const start = Date.now();
+    try {
+      await job(env, ctx, config);
+      console.log(`[Scheduled] ジョブ完了: job=${name}, ${Date.now() - start}ms`);
+    } catch (error) {
+      console.error(`[Scheduled] ジョブエラー: job=${name}, error=${error.message}`, error);
+    }
+  }
+}
+
+async function handleRequest(request, env, ctx, config) {
   const url = new URL(request.url);
 
   // CORS preflight
@@ -20,8 +269,8 @@ async function handleRequest(request) {
     return new Response(null, {
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       }
     });
   }
@@ -35,7 +284,79 @@ async function handleRequest(request) {
 
   // API endpoint
   if (url.pathname === '/api/search') {
-    return handleSearch(url);
+    return handleSearch(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/items') {
+    return handleItems(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/worlds') {
+    return handleWorlds(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/item-categories') {
+    return handleItemCategories(config, ctx);
+  }
+
+  if (url.pathname === '/api/tax-rates') {
+    return handleTaxRates(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/arbitrage') {
+    return handleArbitrage(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/vendor-arbitrage') {
+    return handleVendorArbitrage(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/currency-exchange') {
+    return handleCurrencyExchange(url, config, ctx);
+  }
+
+  if (url.pathname === '/api/shopping-list') {
+    return handleShoppingList(request, config, ctx);
+  }
+
+  const historyMatch = url.pathname.match(/^\/api\/history\/([^/]+)$/);
+  if (historyMatch) {
+    return handleHistory(url, env, ctx, config, historyMatch[1]);
+  }
+
+  const recipeMatch = url.pathname.match(/^\/api\/recipe\/([^/]+)$/);
+  if (recipeMatch) {
+    return handleRecipe(url, config, ctx, recipeMatch[1]);
+  }
+
+  const usedInMatch = url.pathname.match(/^\/api\/used-in\/([^/]+)$/);
+  if (usedInMatch) {
+    return handleUsedIn(url, config, ctx, usedInMatch[1]);
+  }
+
+  const suggestMatch = url.pathname.match(/^\/api\/suggest-price\/([^/]+)$/);
+  if (suggestMatch) {
+    return handleSuggestPrice(url, config, ctx, suggestMatch[1]);
+  }
+
+  const marketMatch = url.pathname.match(/^\/api\/market\/([^/]+)$/);
+  if (marketMatch) {
+    return handleMarket(url, config, ctx, marketMatch[1]);
+  }
+
+  const retainerMatch = url.pathname.match(/^\/api\/retainers(?:\/([^/]+)(\/report)?)?$/);
+  if (retainerMatch) {
+    return handleRetainers(request, env, ctx, config, retainerMatch[1] || null, Boolean(retainerMatch[2]));
+  }
+
+  const scanMatch = url.pathname.match(/^\/api\/scans(?:\/([^/]+)(\/results)?)?$/);
+  if (scanMatch) {
+    return handleScans(request, env, ctx, config, scanMatch[1] || null, Boolean(scanMatch[2]));
+  }
+
+  const alertMatch = url.pathname.match(/^\/api\/alerts(?:\/([^/]+))?$/);
+  if (alertMatch) {
+    return handleAlerts(request, env, ctx, config, alertMatch[1] || null);
   }
 
   // Serve frontend
@@ -51,103 +372,217 @@ async function handleRequest(request) {
   return new Response('Not Found', { status: 404 });
 }
 
-async function handleSearch(url) {
-  const params = url.searchParams;
-  const q = params.get('q')?.trim();
-  const worldParam = params.get('world')?.trim();
-  const world = worldParam || ''; // 空の場合は全検索（Universalis側で処理）
-  const hq = params.get('hq') === 'true';
-  const minPrice = parseInt(params.get('min_price') || '0', 10);
-  const maxPrice = parseInt(params.get('max_price') || '999999999', 10);
-  const page = parseInt(params.get('page') || '1', 10);
-  const perPage = parseInt(params.get('per_page') || '20', 10);
-  const sort = params.get('sort') || 'price_asc';
+async function handleSearch(url, config, ctx) {
+  const q = url.searchParams.get('q')?.trim();
 
   if (!q) {
     return jsonResponse({ error: 'query_required', message: 'パラメータ q は必須です' }, 400);
   }
 
-  // キャッシュキー生成
-  const cacheKey = `search:${q.toLowerCase()}:${world}:${hq}:${minPrice}:${maxPrice}:${page}:${perPage}:${sort}`;
-  const cache = caches.default;
-  const cacheUrl = new URL(url);
-  cacheUrl.pathname = `/cache/${cacheKey}`;
+  const timings = createTimings();
+  // ワールド構成は名前解決と並行して取得しておく
+  const topologyPromise = timings.measure('topology', () => getWorldTopology(config, ctx));
+  topologyPromise.catch(() => {});
 
-  // キャッシュチェック
-  let cached = await cache.match(cacheUrl);
-  if (cached) {
-    const response = new Response(cached.body, cached);
-    response.headers.set('X-Cache', 'HIT');
+  try {
+    console.log(`[Search] 名前解決開始: query="${q}"`);
+
+    // XIVAPI でアイテム候補を検索（キャッシュ層経由）
+    const { data: candidates } = await timings.measure('item', () => getItemCandidates(config, ctx, q));
+    if (candidates.length === 0) {
+      console.log(`[Search] アイテムが見つかりませんでした: query="${q}"`);
+      return jsonResponse({ error: 'item_not_found', message: `アイテム "${q}" が見つかりませんでした` }, 404);
+    }
+
+    // 完全一致が1件、または候補が1件のみの場合だけ確定する
+    const exactMatches = candidates.filter(c => c.name === q);
+    const resolved = exactMatches.length === 1 ? exactMatches[0] : (candidates.length === 1 ? candidates[0] : null);
+    // 候補が複数ある場合は 409 と候補一覧を返す（300 はリダイレクトとして扱うクライアントがあるため使わない）
+    if (!resolved) {
+      console.log(`[Search] 曖昧な検索語: query="${q}", 候補${candidates.length}件`);
+      return jsonResponse({
+        error: 'ambiguous_query',
+        message: `"${q}" に一致するアイテムが複数あります。候補から選択してください`,
+        query: q,
+        candidates,
+      }, 409);
+    }
+
+    console.log(`[Search] アイテム確定: id=${resolved.id}, name="${resolved.name}"`);
+    return buildMarketResponse(url, config, ctx, resolved, q, { timings, topologyPromise });
+
+  } catch (error) {
+    console.error(`[Search] 検索エラー: query="${q}", error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+async function handleItems(url, config, ctx) {
+  const q = url.searchParams.get('q')?.trim();
+
+  if (!q) {
+    return jsonResponse({ error: 'query_required', message: 'パラメータ q は必須です' }, 400);
+  }
+
+  try {
+    const { data: items, cache } = await getItemCandidates(config, ctx, q);
+    console.log(`[Items] 検索完了: query="${q}", ${items.length}件, cache=${cache}`);
+
+    const response = jsonResponse({ query: q, total: items.length, items }, 200);
+    response.headers.set('X-Cache', cache);
     return response;
+
+  } catch (error) {
+    console.error(`[Items] 検索エラー: query="${q}", error=${error.message}`, error);
+    return upstreamErrorResponse(error);
   }
+}
 
+async function handleWorlds(url, config, ctx) {
   try {
-    console.log(`[Search] 検索開始: query="${q}", world="${world}", hq=${hq}, minPrice=${minPrice}, maxPrice=${maxPrice}, page=${page}, perPage=${perPage}, sort="${sort}"`);
+    const { data: topology, cache } = await getWorldTopology(config, ctx);
+    const response = jsonResponse(topology, 200);
+    response.headers.set('X-Cache', cache);
+    return response;
+  } catch (error) {
+    console.error(`[Worlds] 取得エラー: error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-    // XIVAPI でアイテムID検索
-    const itemResult = await searchItemId(q);
-    if (!itemResult) {
-      console.log(`[Search] アイテムが見つかりませんでした: query="${q}"`);
-      return jsonResponse({ error: 'item_not_found', message: `アイテム "${q}" が見つかりませんでした` }, 404);
+async function handleMarket(url, config, ctx, itemIdParam) {
+  if (!/^\d+$/.test(itemIdParam)) {
+    return jsonResponse({ error: 'invalid_item_id', message: 'アイテムIDは数値で指定してください' }, 400);
+  }
+  const itemId = parseInt(itemIdParam, 10);
+
+  const timings = createTimings();
+  // ワールド構成はアイテム解決と並行して取得しておく
+  const topologyPromise = timings.measure('topology', () => getWorldTopology(config, ctx));
+  topologyPromise.catch(() => {});
+
+  try {
+    const { data: item } = await timings.measure('item', () => getItem(config, ctx, itemId));
+    if (!item) {
+      console.log(`[Market] アイテムが見つかりませんでした: itemId=${itemId}`);
+      return jsonResponse({ error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` }, 404);
     }
 
-    console.log(`[Search] アイテム検索完了: id=${itemResult.id}, name="${itemResult.name}"`);
+    return buildMarketResponse(url, config, ctx, item, null, { timings, topologyPromise });
+
+  } catch (error) {
+    console.error(`[Market] 取得エラー: itemId=${itemId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+// 確定したアイテムについてマーケット情報を組み立てる（/api/search と /api/market 共通）
+// 上流データはキャッシュ層から取得し、絞り込み・並び替え・ページングはここで行う
+async function buildMarketResponse(url, config, ctx, item, query, { timings, topologyPromise }) {
+  const params = url.searchParams;
+  // world 未指定時は設定のデフォルトワールド、空文字の場合は全検索（Universalis側で処理）
+  const world = params.has('world') ? params.get('world').trim() : config.defaultWorld;
+  const hq = params.get('hq') === 'true';
+
+  const listingParams = parseListingParams(params);
+  if (listingParams.error) {
+    return jsonResponse({ error: 'invalid_parameter', message: listingParams.error }, 400);
+  }
+  const { minPrice, maxPrice, page, perPage, sort, outliers, materia, dyed, maxAge } = listingParams;
 
-    // Universalis でマーケット情報取得
-    const marketData = await fetchMarketData(world, itemResult.id);
+  try {
+    console.log(`[Market] 取得開始: itemId=${item.id}, world="${world}", hq=${hq}, minPrice=${minPrice}, maxPrice=${maxPrice}, page=${page}, perPage=${perPage}, sort="${sort}"`);
+
+    // 検索範囲（ワールド / DC / リージョン）と所属リージョンを解決
+    const { data: topology } = await topologyPromise;
+    if (!params.get('world')?.trim()) verifyDefaultWorld(config, topology);
+    const scope = resolveScope(topology, world || config.defaultWorld);
+    if (!scope) {
+      return jsonResponse({ error: 'unknown_world', message: `ワールド "${world}" が見つかりませんでした` }, 400);
+    }
+    const region = scope.region;
+
+    // Universalis でマーケット情報とリージョン履歴を並行取得（world が空の場合はリージョン全体）
+    // 対象がリージョン自体の場合は同じURLになるため、リージョン履歴の取得1回で兼用する
+    const marketTarget = world || region.name;
+    let snapshot;
+    let regionHistory;
+    if (marketTarget.toLowerCase() === region.name.toLowerCase()) {
+      snapshot = await timings.measure('market', () => getRegionHistory(config, ctx, region.name, item.id));
+      regionHistory = snapshot;
+    } else {
+      [snapshot, regionHistory] = await Promise.all([
+        timings.measure('market', () => getMarketSnapshot(config, ctx, marketTarget, item.id)),
+        // 過去3か月分のデータを取得するため、大量のentriesを指定（最大値: 10000程度）
+        timings.measure('history', () => getRegionHistory(config, ctx, region.name, item.id)).catch(error => {
+          console.error(`[Market] ${region.name}全体のデータ取得エラー: ${error.message}`);
+          return null;
+        }),
+      ]);
+    }
+    const marketData = snapshot.data;
+
+    // 直近 OUTLIER_WINDOW のリージョン全体の取引（HQ/NQ別）を基準に、釣り出品や放置された高値を判定する
+    // 取引履歴を取得できない場合や取引が少ない品質は、出品の分布で代用する
+    const outlierSince = Math.floor(Date.now() / 1000) - OUTLIER_WINDOW;
+    const detectOutlier = createOutlierDetector(
+      regionHistory ? (regionHistory.data.recentHistory || []).filter(h => h.timestamp >= outlierSince) : [],
+      marketData.listings || []);
+    const isClean = entry => outliers === 'include' || !detectOutlier(entry);
+
+    // ワールドごとのデータの鮮度（最終アップロードからの経過秒数）
+    // ワールド指定時は出品に worldName が含まれないため、検索対象のワールド名で補う
+    const listingWorld = l => l.worldName || (world && scope.type === 'world' ? scope.name : null);
+    const regionWorlds = region.dataCenters.flatMap(dc => dc.worlds.map(w => w.name));
+    const uploadTimes = collectUploadTimes(region, [marketData, regionHistory && regionHistory.data],
+      world && scope.type === 'world' ? scope.name : null);
+    const worldFreshness = {};
+    regionWorlds.forEach(name => {
+      const uploadedAt = uploadTimes.get(name) || null;
+      const age = uploadedAt === null ? null : Math.max(0, Math.floor((Date.now() - uploadedAt) / 1000));
+      worldFreshness[name] = { lastUploadTime: uploadedAt, age, stale: age === null || age > STALE_UPLOAD_AGE };
+    });
+    const ageOf = l => worldFreshness[listingWorld(l)]?.age ?? null;
 
     // データ整形
     const listings = (marketData.listings || [])
       .filter(l => {
         if (hq && !l.hq) return false;
+        if (outliers === 'hide' && detectOutlier(l)) return false;
+        if (materia && ((l.materia || []).length > 0) !== (materia === 'any')) return false;
+        if (dyed !== null && (l.stainID > 0) !== dyed) return false;
+        // アップロード時刻が分からないワールドの出品も古いものとして除く
+        if (maxAge !== null && (ageOf(l) === null || ageOf(l) > maxAge)) return false;
         if (l.pricePerUnit < minPrice || l.pricePerUnit > maxPrice) return false;
         return true;
       })
-      .sort((a, b) => {
-        if (sort === 'price_asc') return a.pricePerUnit - b.pricePerUnit;
-        if (sort === 'price_desc') return b.pricePerUnit - a.pricePerUnit;
-        if (sort === 'recent') return b.lastReviewTime - a.lastReviewTime;
-        return 0;
-      });
+      // 同順位は単価の安い順
+      .sort((a, b) => LISTING_SORTS[sort](a, b) || a.pricePerUnit - b.pricePerUnit);
 
     const start = (page - 1) * perPage;
     const paginatedListings = listings.slice(start, start + perPage);
 
-    console.log(`[Search] データ処理完了: 全${listings.length}件中${paginatedListings.length}件表示 (page=${page}, perPage=${perPage})`);
+    console.log(`[Market] データ処理完了: 全${listings.length}件中${paginatedListings.length}件表示 (page=${page}, perPage=${perPage})`);
 
-    // 日本の各ワールドごとのTop10取得のため、Japan全体のデータを取得
-    const japanWorlds = ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Ramuh', 'Tonberry', 'Typhon', 'Unicorn',
-                         'Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima',
-                         'Anima', 'Asura', 'Belias', 'Chocobo', 'Hades', 'Ixion', 'Mandragora', 'Masamune', 'Pandaemonium', 'Shinryu', 'Titan'];
+    // 表示するページに含まれるワールドの都市別税率（取得できない場合は標準税率で計算）
+    const pageWorlds = [...new Set(paginatedListings.map(listingWorld).filter(Boolean))];
+    const [taxRatesByWorld, attachments, vendor] = await Promise.all([
+      timings.measure('tax', () => getTaxRatesForWorlds(config, ctx, pageWorlds)),
+      timings.measure('materia', () => getListingAttachments(config, ctx, marketTarget, paginatedListings)),
+      timings.measure('vendor', () => getVendorItem(config, ctx, item.id)),
+    ]);
+    // NPC は NQ のみを販売するため、NPC の販売価格より高い NQ の出品を割高とみなす
+    const isAboveVendor = l => vendor !== null && !l.hq && l.pricePerUnit > vendor.price;
 
     const worldTop10 = {};
-    const historyLast3Months = [];
-    try {
-      // 過去3か月分のデータを取得するため、大量のentriesを指定（最大値: 10000程度）
-      const japanMarketData = await fetchMarketData('Japan', itemResult.id, 10000);
-      if (japanMarketData && japanMarketData.recentHistory) {
-        console.log(`[Search] Japan全体の取引履歴: ${japanMarketData.recentHistory.length}件取得`);
-
-        // 過去3か月の期間を計算（秒単位のUnixタイムスタンプ）
-        const now = Math.floor(Date.now() / 1000);
-        const threeMonthsAgo = now - (90 * 24 * 60 * 60); // 90日前
-
-        // 過去3か月分のデータをフィルタリング
-        const last3MonthsData = japanMarketData.recentHistory.filter(h => h.timestamp >= threeMonthsAgo);
-        console.log(`[Search] 過去3か月分の取引履歴: ${last3MonthsData.length}件`);
-
-        // 過去3か月分のデータを保存（グラフ用）
-        historyLast3Months.push(...last3MonthsData.map(h => ({
-          price: h.pricePerUnit,
-          quantity: h.quantity,
-          hq: h.hq,
-          timestamp: h.timestamp,
-          worldName: h.worldName,
-        })));
+    if (regionHistory) {
+      const regionMarketData = regionHistory.data;
+      if (regionMarketData && regionMarketData.recentHistory) {
+        console.log(`[Market] ${region.name}全体の取引履歴: ${regionMarketData.recentHistory.length}件取得`);
 
         // 各ワールドごとに取引履歴を分類してTop10を作成（最新10件を取得）
-        japanWorlds.forEach(worldName => {
-          const worldHistory = japanMarketData.recentHistory
+        regionWorlds.forEach(worldName => {
+          const worldHistory = regionMarketData.recentHistory
             .filter(h => h.worldName === worldName)
             .slice(0, 10)  // 最新10件の取引履歴
             .map(h => ({
@@ -155,34 +590,90 @@ async function handleSearch(url) {
               quantity: h.quantity,
               hq: h.hq,
               timestamp: h.timestamp,
+              outlier: detectOutlier(h),
             }));
           if (worldHistory.length > 0) {
             worldTop10[worldName] = worldHistory;
           }
         });
-        console.log(`[Search] 各ワールドのTop10取得完了: ${Object.keys(worldTop10).length}ワールド`);
+        console.log(`[Market] 各ワールドのTop10取得完了: ${Object.keys(worldTop10).length}ワールド`);
       }
-    } catch (error) {
-      console.error(`[Search] Japan全体のデータ取得エラー: ${error.message}`);
     }
 
+    // 統計情報: 出品は絞り込み前の全件、取引は検索範囲内の直近 STATS_WINDOW 分を対象にする
+    const scopeWorlds = new Set(world ? scopeWorldNames(scope) : scopeWorldNames({ type: 'region', region }));
+    const statsSince = Math.floor(Date.now() / 1000) - STATS_WINDOW;
+    const scopeHistory = regionHistory
+      ? (regionHistory.data.recentHistory || []).filter(h => h.timestamp >= statsSince && scopeWorlds.has(h.worldName))
+      : null;
+    // 外れ値は outliers=include の場合を除いて集計から除く
+    const stats = {
+      windowDays: STATS_WINDOW / 86400,
+      taxRate: MARKET_TAX_RATE,
+      listings: splitByQuality((marketData.listings || []).filter(isClean), entries => withNetPrices(summarizePrices(entries))),
+      history: scopeHistory
+        ? splitByQuality(scopeHistory.filter(isClean), entries => withNetPrices(summarizeSales(entries, STATS_WINDOW)))
+        : null,
+      outliers: {
+        listings: (marketData.listings || []).filter(detectOutlier).length,
+        history: scopeHistory ? scopeHistory.filter(detectOutlier).length : null,
+      },
+    };
+
     const result = {
-      query: q,
+      query,
       world,
-      itemId: itemResult.id,
-      itemName: marketData.itemName || itemResult.name,
+      region: region.name,
+      dataCenters: region.dataCenters.map(dc => ({ name: dc.name, worlds: dc.worlds.map(w => w.name) })),
+      itemId: item.id,
+      itemName: marketData.itemName || item.name,
       total: listings.length,
       page,
       perPage,
-      listings: paginatedListings.map(l => ({
-        price: l.pricePerUnit,
-        quantity: l.quantity,
-        hq: l.hq,
-        total: l.total,
-        retainerName: l.retainerName,
-        worldName: l.worldName,
-        lastReviewTime: l.lastReviewTime,
-      })),
+      totalPages: Math.max(1, Math.ceil(listings.length / perPage)),
+      sort,
+      minPrice,
+      maxPrice,
+      outliers,
+      materia,
+      dyed,
+      maxAge,
+      // NPC から買える場合の販売価格と販売しているショップ（NPC が販売していない場合は null / 空配列）
+      vendorPrice: vendor ? vendor.price : null,
+      vendorShops: vendor ? vendor.shops : [],
+      aboveVendorCount: listings.filter(isAboveVendor).length,
+      listings: paginatedListings.map(l => {
+        const taxRate = retainerTaxRate(taxRatesByWorld.get(listingWorld(l)), l.retainerCity);
+        const materiaDetails = (l.materia || []).map(m => attachments.describeMateria(m));
+        const materiaValue = materiaDetails.reduce((sum, m) => sum + (m.price || 0), 0);
+        return {
+          price: l.pricePerUnit,
+          quantity: l.quantity,
+          hq: l.hq,
+          total: l.total,
+          retainerName: l.retainerName,
+          retainerCity: RETAINER_CITIES[l.retainerCity]?.name || null,
+          worldName: l.worldName,
+          lastReviewTime: l.lastReviewTime,
+          // 売れた場合に出品者が受け取る金額（税引き後）
+          taxRate,
+          netPrice: netOfTax(l.pricePerUnit, taxRate),
+          netTotal: netOfTax(l.total, taxRate),
+          outlier: detectOutlier(l),
+          materia: materiaDetails,
+          // 装着済みマテリアを同じ範囲の最安値で評価した額と、それを差し引いた実質単価
+          materiaValue,
+          materiaPriced: materiaDetails.every(m => m.price !== null),
+          effectivePrice: Math.max(0, l.pricePerUnit - materiaValue),
+          stainId: l.stainID > 0 ? l.stainID : null,
+          stain: l.stainID > 0 ? attachments.stainName(l.stainID) : null,
+          // 出品のあるワールドの最終アップロードからの経過秒数
+          uploadAge: ageOf(l),
+          staleWorld: worldFreshness[listingWorld(l)]?.stale ?? null,
+          aboveVendor: isAboveVendor(l),
+        };
+      }),
+      // 取引履歴には出品者の所属都市が含まれないため、手取りは標準税率で計算する
       recentHistory: (marketData.recentHistory || []).slice(0, 10).map(h => ({
         price: h.pricePerUnit,
         quantity: h.quantity,
@@ -190,1000 +681,6041 @@ async function handleSearch(url) {
         buyerName: h.buyerName,
         worldName: h.worldName,
         timestamp: h.timestamp,
+        netPrice: netOfTax(h.pricePerUnit, MARKET_TAX_RATE),
+        outlier: detectOutlier(h),
       })),
       worldTop10: worldTop10,
-      historyLast3Months: historyLast3Months,
-      cheapest: paginatedListings.length > 0 ? paginatedListings[0].pricePerUnit : null,
+      worldFreshness,
+      staleUploadAge: STALE_UPLOAD_AGE,
+      // 現在のページではなく絞り込み後の全出品から最安値を求める（外れ値は除く）
+      cheapest: listings.some(isClean) ? Math.min(...listings.filter(isClean).map(l => l.pricePerUnit)) : null,
+      stats,
       averagePrice: marketData.averagePrice || null,
+      fetchedAt: snapshot.fetchedAt,
+      // 上流障害により最後に取得できたデータを返している場合は true
+      stale: snapshot.stale,
       timestamp: Date.now(),
     };
 
     const response = jsonResponse(result, 200);
-    response.headers.set('X-Cache', 'MISS');
+    const layers = { market: snapshot.cache, history: regionHistory ? regionHistory.cache : null };
+    response.headers.set('X-Cache', summarizeCacheStatus(Object.values(layers)));
+    response.headers.set('X-Cache-Detail', Object.entries(layers).filter(([, v]) => v).map(([k, v]) => `${k}=${v}`).join(', '));
+    response.headers.set('Server-Timing', timings.header());
 
-    // キャッシュ保存
-    const cacheResponse = response.clone();
-    cacheResponse.headers.set('Cache-Control', `max-age=${CACHE_TTL}`);
-    await cache.put(cacheUrl, cacheResponse);
-
-    console.log(`[Search] 検索完了: query="${q}", 結果${result.total}件, キャッシュ保存完了`);
+    console.log(`[Market] 取得完了: itemId=${item.id}, 結果${result.total}件, cache=${response.headers.get('X-Cache-Detail')}, timing=${timings.header()}`);
 
     return response;
 
   } catch (error) {
-    console.error(`[Search] 検索エラー: query="${q}", error=${error.message}`, error);
-    return jsonResponse({
-      error: 'upstream_error',
-      message: 'データ取得中にエラーが発生しました',
-      detail: error.message
-    }, 500);
+    console.error(`[Market] 取得エラー: itemId=${item.id}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
   }
 }
 
-async function searchItemId(query) {
-  // XIVAPI v2のキーワード検索を使用
-  // Name~"keyword" で部分一致検索
-  const searchQuery = `Name~"${query}"`;
-  const url = `${XIVAPI_BASE}/search?sheets=Item&fields=Name,ItemUICategory.Name,Icon&language=ja&query=${encodeURIComponent(searchQuery)}&limit=10`;
-
-  console.log(`[XIVAPI] アイテム検索開始: query="${query}", url="${url}"`);
+// 出品に装着されたマテリアとカララントを名前に解決し、マテリアは検索範囲の最安値で評価する
+// Universalis の materia は { slotID, materiaID } で、slotID はマテリアの等級（Materia シートの Item 配列の添字）
+// シートや価格を取得できない場合は、名前・価格なしで返す
+async function getListingAttachments(config, ctx, marketTarget, listings) {
+  const melded = listings.some(l => (l.materia || []).length > 0);
+  const dyed = listings.some(l => l.stainID > 0);
+  let materiaTable = {};
+  let stainNames = {};
+  const prices = new Map();
 
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'FFXIV-Market-Search/1.0',
-        'Accept': 'application/json'
-      }
-    });
-
-    console.log(`[XIVAPI] レスポンス受信: status=${response.status}, ok=${response.ok}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[XIVAPI] エラー: status=${response.status}, body=${errorText}`);
-      throw new Error(`XIVAPI error: ${response.status} - ${errorText}`);
+    const [materiaResult, stainResult] = await Promise.all([
+      melded ? getMateriaTable(config, ctx) : null,
+      dyed ? getStainNames(config, ctx) : null,
+    ]);
+    materiaTable = materiaResult ? materiaResult.data : {};
+    stainNames = stainResult ? stainResult.data : {};
+
+    const materiaItemIds = [...new Set(listings.flatMap(l => (l.materia || [])
+      .map(m => materiaTable[m.materiaID]?.grades[m.slotID]?.itemId)
+      .filter(Boolean)))];
+    if (materiaItemIds.length > 0) {
+      const { listingsByItem } = await getListingsByItem(config, ctx, marketTarget, materiaItemIds);
+      listingsByItem.forEach((itemListings, itemId) => {
+        if (itemListings.length > 0) prices.set(itemId, Math.min(...itemListings.map(l => l.pricePerUnit)));
+      });
     }
+  } catch (error) {
+    console.error(`[Materia] マテリア・カララントの解決エラー: error=${error.message}`);
+  }
 
-    const data = await response.json();
-    console.log(`[XIVAPI] データ受信: results=${data.results?.length || 0}件`);
-
-    // v2のレスポンス形式: { results: [{ row_id, fields: { Name, ... } }] }
-    if (data.results && data.results.length > 0) {
-      // 最初のマッチを返す
-      const item = data.results[0];
-      console.log(`[XIVAPI] アイテム見つかり: id=${item.row_id}, name="${item.fields?.Name}"`);
+  return {
+    describeMateria: ({ slotID, materiaID }) => {
+      const type = materiaTable[materiaID];
+      const grade = type ? type.grades[slotID] : null;
       return {
-        id: item.row_id,
-        name: item.fields?.Name || query
+        materiaId: materiaID,
+        grade: slotID,
+        itemId: grade ? grade.itemId : null,
+        name: grade ? grade.name : null,
+        param: type ? type.param : null,
+        value: grade ? grade.value : null,
+        price: grade && prices.has(grade.itemId) ? prices.get(grade.itemId) : null,
       };
+    },
+    stainName: stainId => stainNames[stainId] || null,
+  };
+}
+
+// Universalis の worldUploadTimes（ワールドID → ミリ秒）をワールド名で引ける Map にまとめる
+// ワールド単体の取得では worldUploadTimes が返らないため、lastUploadTime をそのワールドの値とする
+function collectUploadTimes(region, snapshots, singleWorld) {
+  const worldNames = new Map(region.dataCenters.flatMap(dc => dc.worlds.map(w => [String(w.id), w.name])));
+  const times = new Map();
+  const record = (name, time) => {
+    if (name && time && time > (times.get(name) || 0)) times.set(name, time);
+  };
+  snapshots.filter(Boolean).forEach(data => {
+    Object.entries(data.worldUploadTimes || {}).forEach(([id, time]) => record(worldNames.get(id), time));
+  });
+  if (singleWorld && snapshots[0]) {
+    record(singleWorld, snapshots[0].lastUploadTime);
+  }
+  return times;
+}
+
+// ワールドの都市別税率（出品手取り計算用）
+async function handleTaxRates(url, config, ctx) {
+  const worldParam = url.searchParams.get('world')?.trim() || config.defaultWorld;
+  try {
+    const { data: topology } = await getWorldTopology(config, ctx);
+    if (!url.searchParams.get('world')?.trim()) verifyDefaultWorld(config, topology);
+    const scope = resolveScope(topology, worldParam);
+    if (!scope || scope.type !== 'world') {
+      return jsonResponse({ error: 'unknown_world', message: `ワールド "${worldParam}" が見つかりませんでした` }, 400);
     }
 
-    console.log(`[XIVAPI] アイテムが見つかりませんでした: query="${query}"`);
-    return null;
+    const { data: rates, cache, fetchedAt, stale } = await getTaxRates(config, ctx, scope.name);
+    const response = jsonResponse({
+      world: scope.name,
+      dataCenter: scope.dataCenter.name,
+      rates: Object.entries(RETAINER_CITIES)
+        .filter(([, city]) => typeof rates[city.key] === 'number')
+        .map(([id, city]) => ({ cityId: Number(id), city: city.name, rate: rates[city.key] / 100 })),
+      fetchedAt,
+      stale,
+    }, 200);
+    response.headers.set('X-Cache', cache);
+    return response;
 
   } catch (error) {
-    console.error(`[XIVAPI] 例外エラー: query="${query}", error=${error.message}`, error);
-    throw error;
+    console.error(`[Tax] 取得エラー: world="${worldParam}", error=${error.message}`, error);
+    return upstreamErrorResponse(error);
   }
 }
 
-async function fetchMarketData(world, itemId, entries = 10) {
-  // ワールドが指定されていない場合は日本全DCを検索
-  const searchWorld = world || 'Japan';
-  // entries で取引履歴を取得（デフォルト10件）
-  const url = `${UNIVERSALIS_BASE}/${encodeURIComponent(searchWorld)}/${itemId}?entries=${entries}`;
-
-  console.log(`[Universalis] マーケットデータ取得開始: world="${searchWorld}", itemId=${itemId}, url="${url}"`);
+// 複数ワールドの税率を取得する。取得に失敗したワールドは null（標準税率で計算）
+async function getTaxRatesForWorlds(config, ctx, worlds) {
+  const entries = await Promise.all(worlds.map(async world => {
+    try {
+      const { data } = await getTaxRates(config, ctx, world);
+      return [world, data];
+    } catch (error) {
+      console.error(`[Tax] 税率取得エラー: world="${world}", error=${error.message}`);
+      return [world, null];
+    }
+  }));
+  return new Map(entries);
+}
 
+// NPC の販売情報（NPC が販売していない、またはシートを取得できない場合は null）
+// マーケット表示のたびに全件の販売表を読み込まないよう、アイテム単位で検索する
+async function getVendorItem(config, ctx, itemId) {
   try {
-    const response = await fetch(url);
-    console.log(`[Universalis] レスポンス受信: status=${response.status}, ok=${response.ok}`);
+    const { data } = await cachedJson(config, ctx, `vendor:${itemId}`, config.itemCacheTtl,
+      () => fetchVendorItem(config, itemId));
+    return data;
+  } catch (error) {
+    console.error(`[Vendor] NPC販売品の取得エラー: itemId=${itemId}, error=${error.message}`);
+    return null;
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[Universalis] エラー: status=${response.status}, body=${errorText}`);
-      throw new Error(`Universalis error: ${response.status} - ${errorText}`);
-    }
+// リテイナーの所属都市の税率（0〜1）。不明な場合は標準税率
+function retainerTaxRate(rates, cityId) {
+  const city = RETAINER_CITIES[cityId];
+  const percent = rates && city ? rates[city.key] : undefined;
+  return typeof percent === 'number' ? percent / 100 : MARKET_TAX_RATE;
+}
 
-    const data = await response.json();
-    console.log(`[Universalis] データ受信: itemName="${data.itemName || data.name}", listings=${data.listings?.length || 0}件, history=${data.recentHistory?.length || 0}件`);
+// ワールドで新たに出品する場合の税率（0〜1）。出品するリテイナーの所属都市は選べるため、最も税率の低い都市で出品するものとする
+function saleTaxRate(rates) {
+  const percents = Object.values(RETAINER_CITIES).map(city => rates?.[city.key]).filter(p => typeof p === 'number');
+  return percents.length > 0 ? Math.min(...percents) / 100 : MARKET_TAX_RATE;
+}
 
-    return {
-      itemName: data.itemName || data.name,
-      listings: data.listings || [],
-      recentHistory: data.recentHistory || [],
-      averagePrice: data.averagePrice,
-    };
+// 複数ワールドの出品時の税率（world → 0〜1）。税率を取得できなかったワールドは標準税率
+async function getSaleTaxRates(config, ctx, worlds) {
+  const ratesByWorld = await getTaxRatesForWorlds(config, ctx, [...new Set(worlds)]);
+  return new Map([...ratesByWorld].map(([world, rates]) => [world, saleTaxRate(rates)]));
+}
 
-  } catch (error) {
-    console.error(`[Universalis] 例外エラー: world="${searchWorld}", itemId=${itemId}, error=${error.message}`, error);
-    throw error;
-  }
+function netOfTax(amount, taxRate) {
+  return Math.floor(amount * (1 - taxRate));
 }
 
-function jsonResponse(data, status = 200) {
-  return new Response(JSON.stringify(data, null, 2), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-    }
-  });
+// 価格の分布に標準税率での手取り（中央値・トリム平均）を加える
+function withNetPrices(summary) {
+  return {
+    ...summary,
+    netMedian: summary.median === null ? null : netOfTax(summary.median, MARKET_TAX_RATE),
+    netTrimmedMean: summary.trimmedMean === null ? null : netOfTax(summary.trimmedMean, MARKET_TAX_RATE),
+  };
 }
 
-// HTML Content (embedded)
-const HTML_CONTENT = `<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>FFXIV マーケット検索</title>
-  <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
-  <style>
-    * {
-      box-sizing: border-box;
-      margin: 0;
-      padding: 0;
-    }
+// 取引履歴を時間・日・週単位に集計して返す（グラフ用）
+async function handleHistory(url, env, ctx, config, itemIdParam) {
+  if (!/^\d+$/.test(itemIdParam)) {
+    return jsonResponse({ error: 'invalid_item_id', message: 'アイテムIDは数値で指定してください' }, 400);
+  }
+  const itemId = parseInt(itemIdParam, 10);
 
-    :root {
-      --primary: #3b82f6;
-      --primary-hover: #2563eb;
-      --bg: #f8fafc;
-      --sidebar-bg: #ffffff;
-      --text: #1e293b;
-      --text-muted: #64748b;
-      --border: #e2e8f0;
-      --hover-bg: #f1f5f9;
-      --selected-bg: #dbeafe;
+  const params = url.searchParams;
+  const granularity = params.get('granularity') || 'day';
+  const range = params.get('range') || '90d';
+  const hq = params.get('hq') === 'true';
+  const tzOffset = parseInt(params.get('tz_offset') || '0', 10);
+  const worldParam = params.get('world')?.trim() || '';
+  const dcParam = params.get('dc')?.trim() || '';
+  const outliers = params.get('outliers') || 'exclude';
+
+  if (!HISTORY_GRANULARITIES[granularity]) {
+    return jsonResponse({ error: 'invalid_parameter', message: `granularity は ${Object.keys(HISTORY_GRANULARITIES).join(' / ')} のいずれかを指定してください` }, 400);
+  }
+  // 'all' はアーカイブの全期間
+  const rangeSeconds = range === 'all' ? ARCHIVE_MAX_RANGE : parseRange(range);
+  if (rangeSeconds === null || rangeSeconds > ARCHIVE_MAX_RANGE) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'range は 24h / 7d / 365d / all のように指定してください' }, 400);
+  }
+  // 90日を超える期間は日次アーカイブ（D1）と組み合わせて集計する
+  const useArchive = rangeSeconds > HISTORY_MAX_RANGE;
+  if (useArchive && granularity === 'hour') {
+    return jsonResponse({ error: 'invalid_parameter', message: '90日を超える期間では granularity に day または week を指定してください' }, 400);
+  }
+  const db = env && env.HISTORY_DB;
+  if (useArchive && !db) {
+    return jsonResponse({ error: 'archive_unavailable', message: '長期の取引履歴アーカイブ（HISTORY_DB）が設定されていません' }, 503);
+  }
+  if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 840) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'tz_offset は -840〜840 の整数（分）で指定してください' }, 400);
+  }
+  if (!OUTLIER_MODES.includes(outliers)) {
+    return jsonResponse({ error: 'invalid_parameter', message: `outliers は ${OUTLIER_MODES.join(' / ')} のいずれかを指定してください` }, 400);
+  }
+
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const { data: topology } = await timings.measure('topology', () => getWorldTopology(config, ctx));
+    const scopeName = worldParam || dcParam;
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeName);
+    if (scopeError) return scopeError;
+    const worldNames = new Set(scopeWorldNames(scope));
+    // アーカイブはデフォルトワールドのリージョン・TRACKED_ITEM_IDS のアイテムのみ保存している（archiveDailyAggregates）
+    const archiveRegion = resolveScope(topology, config.defaultWorld)?.region.name;
+    if (useArchive && scope.region.name !== archiveRegion) {
+      return jsonResponse({ error: 'archive_not_covered', message: `90日を超える取引履歴は ${archiveRegion} リージョンのみ保存しています。range を 90d 以下にしてください` }, 400);
     }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: var(--bg);
-      color: var(--text);
-      margin: 0;
-      height: 100vh;
-      display: flex;
-      flex-direction: column;
-    }
+    const history = await timings.measure('history', () => getRegionHistory(config, ctx, scope.region.name, itemId));
 
-    .header {
-      background: var(--sidebar-bg);
-      padding: 16px 24px;
-      border-bottom: 1px solid var(--border);
-      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
+    const since = Math.floor(Date.now() / 1000) - rangeSeconds;
+    let entries = (history.data.recentHistory || []).filter(h => {
+      if (h.timestamp < since) return false;
+      if (hq && !h.hq) return false;
+      return worldNames.has(h.worldName);
+    });
+    // 外れ値は表示期間内の取引（HQ/NQ別）の分布を基準に判定し、最高・最低価格の線が引きずられないよう除く
+    // （アーカイブは保存時に除外済み）
+    const detectOutlier = createOutlierDetector(entries);
+    const outlierCount = entries.filter(detectOutlier).length;
+    if (outliers !== 'include') {
+      entries = entries.filter(h => !detectOutlier(h));
     }
 
-    h1 {
-      font-size: 1.5rem;
-      margin: 0;
+    // 取引履歴の最古の日は途中までしか含まれない可能性があるため、その日まではアーカイブを使う
+    let archiveRows = [];
+    if (useArchive) {
+      const recent = history.data.recentHistory || [];
+      const oldest = recent.length > 0 ? Math.min(...recent.map(h => h.timestamp)) : null;
+      const archiveUntil = oldest === null ? Math.floor(Date.now() / 1000) : startOfUtcDay(oldest) + 86400;
+      entries = entries.filter(h => h.timestamp >= archiveUntil);
+      archiveRows = await timings.measure('archive', () => readArchive(db, itemId, scope.region.name, since, archiveUntil))
+        .then(rows => rows.filter(row => worldNames.has(row.world) && (!hq || row.hq)));
     }
+    const buckets = aggregateHistory(entries, granularity, tzOffset, archiveRows);
+
+    console.log(`[History] 集計完了: itemId=${itemId}, scope="${scope.name}", granularity=${granularity}, range=${range}, ${entries.length}件 + アーカイブ${archiveRows.length}件 → ${buckets.length}区間`);
+
+    const response = jsonResponse({
+      itemId,
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      granularity,
+      range,
+      hq,
+      tzOffset,
+      outliers: { mode: outliers, count: outlierCount },
+      // アーカイブを使った場合の対象範囲（tracked が false のアイテムは90日より前の区間が空になる）
+      archive: useArchive ? { region: archiveRegion, tracked: config.trackedItemIds.includes(itemId), rows: archiveRows.length } : null,
+      buckets,
+      fetchedAt: history.fetchedAt,
+      stale: history.stale,
+    }, 200);
+    response.headers.set('X-Cache', history.cache);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-    .header-right {
-      display: flex;
-      gap: 12px;
-      align-items: center;
-    }
+  } catch (error) {
+    console.error(`[History] 取得エラー: itemId=${itemId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-    .header-right select {
-      padding: 8px 12px;
-      border: 1px solid var(--border);
-      border-radius: 6px;
-      font-size: 14px;
-      background: white;
-      cursor: pointer;
-      min-width: 150px;
-    }
+// 地域内のワールド間で「安く買って高く売る」候補を探す
+// 買い: 必要数量を満たせる最安の出品群、売り: 直近 STATS_WINDOW の取引中央値と販売速度
+async function handleArbitrage(url, config, ctx) {
+  const params = url.searchParams;
+  const itemIds = parseItemIds(params.get('items') || '', MAX_ARBITRAGE_ITEMS);
+  if (itemIds.error) {
+    return jsonResponse({ error: 'invalid_parameter', message: itemIds.error }, 400);
+  }
+  const quantityParam = params.get('quantity') || '1';
+  if (!/^\d+$/.test(quantityParam) || Number(quantityParam) < 1 || Number(quantityParam) > 9999) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'quantity は 1〜9999 の整数で指定してください' }, 400);
+  }
+  const quantity = Number(quantityParam);
+  const hq = params.get('hq') === 'true';
+  const scopeParam = params.get('world')?.trim() || params.get('dc')?.trim() || '';
 
-    .header-right select:focus {
-      outline: none;
-      border-color: var(--primary);
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const { data: topology } = await timings.measure('topology', () => getWorldTopology(config, ctx));
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeParam);
+    if (scopeError) return scopeError;
+    // 同じワールド内の売買は比較しないため、1ワールドだけでは候補が出ない
+    if (scope.type === 'world') {
+      return jsonResponse({ error: 'invalid_parameter', message: `ワールド間の比較のため、world / dc にはワールドではなく DC / リージョンを指定してください（"${scope.name}"）` }, 400);
     }
+    const worldDcs = new Map(scope.region.dataCenters.flatMap(dc => dc.worlds.map(w => [w.name, dc.name])));
+    const worldNames = new Set(scopeWorldNames(scope));
+    // 売るワールドごとの税率で見込み利益を求める
+    const taxRates = await timings.measure('tax', () => getSaleTaxRates(config, ctx, [...worldNames]));
 
-    .header-right label {
-      font-size: 13px;
-      color: var(--text-muted);
-      font-weight: 500;
-    }
+    const results = await timings.measure('market', () => Promise.all(itemIds.ids.map(async itemId => {
+      try {
+        const [{ data: item }, history] = await Promise.all([
+          getItem(config, ctx, itemId),
+          getRegionHistory(config, ctx, scope.region.name, itemId),
+        ]);
+        if (!item) {
+          return { itemId, error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` };
+        }
+        return {
+          itemId,
+          itemName: item.name,
+          ...evaluateArbitrage(history.data, { quantity, hq, worldNames, worldDcs, taxRates }),
+          fetchedAt: history.fetchedAt,
+          stale: history.stale,
+        };
+      } catch (error) {
+        if (!(error instanceof UpstreamError)) throw error;
+        console.error(`[Arbitrage] 取得エラー: itemId=${itemId}, error=${error.message}`);
+        return { itemId, error: 'upstream_error', message: `${error.upstream} からデータを取得できませんでした`, cause: error };
+      }
+    })));
 
-    .main-container {
-      display: flex;
-      flex: 1;
-      overflow: hidden;
+    // すべてのアイテムで上流障害が起きた場合は上流エラーとして返す
+    const failures = results.filter(r => r.cause);
+    if (failures.length === results.length) {
+      return upstreamErrorResponse(failures[0].cause);
     }
+    const items = results
+      .map(({ cause, ...rest }) => rest)
+      .sort((a, b) => (b.profit ?? -Infinity) - (a.profit ?? -Infinity));
+
+    console.log(`[Arbitrage] 計算完了: scope="${scope.name}", ${itemIds.ids.length}アイテム, quantity=${quantity}, hq=${hq}, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      quantity,
+      hq,
+      windowDays: STATS_WINDOW / 86400,
+      items,
+    }, 200);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-    .sidebar {
-      width: 320px;
-      background: var(--sidebar-bg);
-      border-right: 1px solid var(--border);
-      display: flex;
-      flex-direction: column;
-      overflow: hidden;
-    }
+  } catch (error) {
+    console.error(`[Arbitrage] 計算エラー: items="${params.get('items')}", error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-    .search-box {
-      padding: 16px;
-      border-bottom: 1px solid var(--border);
-    }
+// NPC が販売していてマーケットにも出品できるアイテムのうち、NPC の販売価格より高く出品されているもの
+// NPC から買ってマーケットで売る場合の1個あたりの利益（最安出品のワールドの税率での手取り − NPC価格）の大きい順に返す
+async function handleVendorArbitrage(url, config, ctx) {
+  const params = url.searchParams;
+  const limitParam = params.get('limit') || '50';
+  if (!/^\d+$/.test(limitParam) || Number(limitParam) < 1 || Number(limitParam) > MAX_VENDOR_RESULTS) {
+    return jsonResponse({ error: 'invalid_parameter', message: `limit は 1〜${MAX_VENDOR_RESULTS} の整数で指定してください` }, 400);
+  }
+  const limit = Number(limitParam);
+  const minProfitParam = params.get('min_profit');
+  if (minProfitParam !== null && !/^-?\d+$/.test(minProfitParam)) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'min_profit は整数で指定してください' }, 400);
+  }
+  const minProfit = minProfitParam === null ? null : Number(minProfitParam);
+  const scopeParam = params.get('world')?.trim() || params.get('dc')?.trim() || '';
 
-    .search-box input {
-      width: 100%;
-      padding: 10px 12px;
-      border: 1px solid var(--border);
-      border-radius: 6px;
-      font-size: 14px;
-    }
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const { data: topology } = await timings.measure('topology', () => getWorldTopology(config, ctx));
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeParam);
+    if (scopeError) return scopeError;
+    const worldDcs = new Map(scope.region.dataCenters.flatMap(dc => dc.worlds.map(w => [w.name, dc.name])));
+
+    const vendorTable = await timings.measure('vendor', () => getVendorTable(config, ctx));
+    const vendorItems = Object.entries(vendorTable.data)
+      .filter(([, entry]) => entry.marketable)
+      .map(([id, entry]) => ({ itemId: Number(id), ...entry }))
+      .sort((a, b) => a.itemId - b.itemId);
+    const [{ listingsByItem, markets }, taxRates] = await Promise.all([
+      timings.measure('market', () => getListingsByItem(config, ctx, scope.name, vendorItems.map(v => v.itemId))),
+      timings.measure('tax', () => getSaleTaxRates(config, ctx, scopeWorldNames(scope))),
+    ]);
+
+    const matches = [];
+    vendorItems.forEach(vendor => {
+      // NPC は NQ のみを販売するため NQ の出品と比べる（ワールド指定時は worldName を補う）
+      // 釣り出品や放置された高値で差額が歪まないよう、外れ値の出品は除く
+      const listings = withoutOutlierListings((listingsByItem.get(vendor.itemId) || [])
+        .filter(l => !l.hq)
+        .map(l => ({ ...l, worldName: l.worldName || scope.name })));
+      if (listings.length === 0) return;
+      const cheapest = listings.reduce((min, l) => (l.pricePerUnit < min.pricePerUnit ? l : min));
+      if (cheapest.pricePerUnit <= vendor.price) return;
+      // 最安出品のあるワールドで、その価格で売るものとする
+      const taxRate = taxRates.get(cheapest.worldName) ?? MARKET_TAX_RATE;
+      const profit = netOfTax(cheapest.pricePerUnit, taxRate) - vendor.price;
+      if (minProfit !== null && profit < minProfit) return;
+      matches.push({
+        itemId: vendor.itemId,
+        itemName: vendor.name,
+        vendorPrice: vendor.price,
+        vendorShops: vendor.shops,
+        cheapest: {
+          price: cheapest.pricePerUnit,
+          world: cheapest.worldName,
+          dataCenter: worldDcs.get(cheapest.worldName) || null,
+          quantity: cheapest.quantity,
+        },
+        markup: cheapest.pricePerUnit - vendor.price,
+        markupRatio: Math.round((cheapest.pricePerUnit / vendor.price) * 100) / 100,
+        taxRate,
+        profit,
+        listings: listings.length,
+        units: listings.reduce((sum, l) => sum + l.quantity, 0),
+      });
+    });
+    matches.sort((a, b) => (b.profit - a.profit) || (b.markupRatio - a.markupRatio));
+
+    const cacheStatus = summarizeCacheStatus([vendorTable.cache, ...markets.map(m => m.cache)]);
+    console.log(`[Vendor] NPC販売品の比較完了: scope="${scope.name}", NPC販売品${vendorItems.length}件中${matches.length}件, cache=${cacheStatus}, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      minProfit,
+      vendorItems: vendorItems.length,
+      total: matches.length,
+      limit,
+      items: matches.slice(0, limit),
+      fetchedAt: markets.length > 0 ? Math.min(...markets.map(m => m.fetchedAt)) : null,
+      stale: markets.some(m => m.stale),
+    }, 200);
+    response.headers.set('X-Cache', cacheStatus);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-    .search-box input:focus {
-      outline: none;
-      border-color: var(--primary);
-    }
+  } catch (error) {
+    console.error(`[Vendor] NPC販売品の比較エラー: error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
+// Cron Trigger から1日1回呼ばれ、NPC販売品の一括比較で使う販売表をキャッシュに読み込んでおく
+// 期限切れ直後であれば cachedJson が ctx.waitUntil で裏で取り直す
+async function warmVendorTable(env, ctx, config) {
+  const table = await getVendorTable(config, ctx);
+  console.log(`[Vendor] 販売表の事前取得: cache=${table.cache}, ${Object.keys(table.data).length}件`);
+}
 
-    .item-list {
-      flex: 1;
-      overflow-y: auto;
-    }
+// 特殊通貨で交換できるアイテムを売った場合の、通貨1あたりのギル換算ランキング
+// currency 未指定の場合は対応している通貨の一覧を返す
+async function handleCurrencyExchange(url, config, ctx) {
+  const params = url.searchParams;
+  const currencyKey = params.get('currency')?.trim() || '';
+  if (!currencyKey) {
+    return jsonResponse({
+      currencies: Object.entries(EXCHANGE_CURRENCIES).map(([key, c]) => ({ key, name: c.name, budget: c.budget })),
+    }, 200);
+  }
+  const currency = EXCHANGE_CURRENCIES[currencyKey];
+  if (!currency) {
+    return jsonResponse({ error: 'invalid_parameter', message: `currency は ${Object.keys(EXCHANGE_CURRENCIES).join(' / ')} のいずれかを指定してください` }, 400);
+  }
+  const budgetParam = params.get('budget') || String(currency.budget);
+  if (!/^\d+$/.test(budgetParam) || Number(budgetParam) < 1 || Number(budgetParam) > 999999) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'budget は 1〜999999 の整数で指定してください' }, 400);
+  }
+  const budget = Number(budgetParam);
+  const limitParam = params.get('limit') || '50';
+  if (!/^\d+$/.test(limitParam) || Number(limitParam) < 1 || Number(limitParam) > MAX_CURRENCY_RESULTS) {
+    return jsonResponse({ error: 'invalid_parameter', message: `limit は 1〜${MAX_CURRENCY_RESULTS} の整数で指定してください` }, 400);
+  }
+  const limit = Number(limitParam);
+  const scopeParam = params.get('world')?.trim() || params.get('dc')?.trim() || '';
 
-    .item {
-      padding: 12px 16px;
-      border-bottom: 1px solid var(--border);
-      cursor: pointer;
-      transition: background 0.15s;
-    }
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const [{ data: topology }, exchange] = await Promise.all([
+      timings.measure('topology', () => getWorldTopology(config, ctx)),
+      timings.measure('exchange', () => getExchangeTable(config, ctx)),
+    ]);
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeParam);
+    if (scopeError) return scopeError;
+
+    // 同じアイテムを複数のショップで交換できる場合は、1個あたりの必要量が少ない交換を使う
+    const offers = new Map();
+    (exchange.data[currencyKey] || []).forEach(offer => {
+      const current = offers.get(offer.itemId);
+      if (!current || offer.cost / offer.quantity < current.cost / current.quantity) offers.set(offer.itemId, offer);
+    });
+    const itemIds = [...offers.keys()].sort((a, b) => a - b);
+
+    // マーケットに出品できないアイテムは Universalis の結果に含まれないため、取引履歴は出品できるものだけ取得する
+    const [{ listingsByItem, markets }, taxRates] = await Promise.all([
+      timings.measure('market', () => getListingsByItem(config, ctx, scope.name, itemIds)),
+      timings.measure('tax', () => getSaleTaxRates(config, ctx, scopeWorldNames(scope))),
+    ]);
+    const marketableIds = itemIds.filter(id => listingsByItem.has(id));
+    const { salesByItem, histories } = await timings.measure('history', () => getSalesByItem(config, ctx, scope.name, marketableIds));
+    // 売値は範囲全体の取引・出品から求めるため売るワールドが決まらない。利益を多く見積もらないよう、範囲内で最も高い税率を使う
+    const taxRate = Math.max(...taxRates.values());
+
+    const windowDays = STATS_WINDOW / 86400;
+    const ranked = marketableIds.map(id => {
+      const offer = offers.get(id);
+      // 交換品は NQ のため NQ の出品・取引で評価する
+      const listings = listingsByItem.get(id).filter(l => !l.hq);
+      const summary = summarizeSales((salesByItem.get(id) || []).filter(h => !h.hq), STATS_WINDOW);
+      const cheapest = listings.length > 0 ? Math.min(...listings.map(l => l.pricePerUnit)) : null;
+      // 直近の取引がある場合は取引の中央値、ない場合は最安出品で売れるものとする
+      const unitPrice = summary.median !== null ? summary.median : cheapest;
+      const netUnitPrice = unitPrice === null ? null : netOfTax(unitPrice, taxRate);
+      // 予算をすべてこのアイテムに使った場合に、統計期間内に売り切れる見込みの数量で評価する
+      const affordableUnits = Math.floor(budget / offer.cost) * offer.quantity;
+      const sellableUnits = netUnitPrice === null ? 0 : Math.min(affordableUnits, Math.floor(summary.velocity * windowDays));
+      const expectedGil = sellableUnits * (netUnitPrice || 0);
+      return {
+        itemId: id,
+        ...offer,
+        cheapest,
+        unitPrice,
+        priceBasis: summary.median !== null ? 'sales' : cheapest !== null ? 'listing' : null,
+        netUnitPrice,
+        sales: summary.count,
+        velocity: summary.velocity,
+        gilPerCurrency: netUnitPrice === null ? null : Math.round((netUnitPrice * offer.quantity / offer.cost) * 100) / 100,
+        affordableUnits,
+        sellableUnits,
+        expectedGil,
+        effectiveGilPerCurrency: Math.round((expectedGil / budget) * 100) / 100,
+        thinMarket: summary.count < THIN_MARKET_MIN_SALES,
+      };
+    })
+      .sort((a, b) => (b.effectiveGilPerCurrency - a.effectiveGilPerCurrency) || ((b.gilPerCurrency || 0) - (a.gilPerCurrency || 0)));
+
+    const top = ranked.slice(0, limit);
+    const { data: items } = top.length > 0
+      ? await timings.measure('item', () => getItems(config, ctx, top.map(r => r.itemId)))
+      : { data: [] };
+    const itemNames = new Map(items.map(item => [item.id, item.name]));
+
+    const cacheStatus = summarizeCacheStatus([exchange.cache, ...markets.map(m => m.cache), ...histories.map(h => h.cache)]);
+    console.log(`[Exchange] ランキング計算完了: currency=${currencyKey}, scope="${scope.name}", 交換品${itemIds.length}件中${ranked.length}件が出品可能, budget=${budget}, cache=${cacheStatus}, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      currency: { key: currencyKey, name: currency.name },
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      budget,
+      taxRate,
+      windowDays,
+      exchangeItems: itemIds.length,
+      total: ranked.length,
+      limit,
+      items: top.map(r => ({ ...r, itemName: itemNames.get(r.itemId) || null })),
+      fetchedAt: markets.length > 0 ? Math.min(...markets.map(m => m.fetchedAt)) : null,
+      stale: markets.some(m => m.stale) || histories.some(h => h.stale),
+    }, 200);
+    response.headers.set('X-Cache', cacheStatus);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-    .item:hover {
-      background: var(--hover-bg);
-    }
+  } catch (error) {
+    console.error(`[Exchange] ランキング計算エラー: currency=${currencyKey}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-    .item.selected {
-      background: var(--selected-bg);
-      border-left: 3px solid var(--primary);
-    }
+// リージョン全体のマーケットデータから、ワールドごとの買値・売値と最良の組み合わせを求める
+function evaluateArbitrage(marketData, { quantity, hq, worldNames, worldDcs, taxRates }) {
+  const now = Math.floor(Date.now() / 1000);
+  const since = now - STATS_WINDOW;
+  const windowDays = STATS_WINDOW / 86400;
+  // 釣り出品や放置された高値で買値・売値が歪まないよう、外れ値は除いてから評価する
+  const detectOutlier = createMarketOutlierDetector(marketData);
+  const listings = (marketData.listings || []).filter(l => worldNames.has(l.worldName) && (!hq || l.hq));
+  const listingsByWorld = groupByWorld(listings.filter(l => !detectOutlier(l)));
+  const salesByWorld = groupByWorld((marketData.recentHistory || [])
+    .filter(h => h.timestamp >= since && worldNames.has(h.worldName) && (!hq || h.hq) && !detectOutlier(h)));
+
+  const worlds = [...worldNames].map(world => {
+    const buy = cheapestStacks(listingsByWorld.get(world) || [], quantity);
+    const sales = salesByWorld.get(world) || [];
+    const summary = summarizeSales(sales, STATS_WINDOW);
+    // 取引が少ない、または必要数量を期間内にさばけない市場は売値の見込みが当てにならない
+    const thinReasons = [];
+    if (summary.count < THIN_MARKET_MIN_SALES) thinReasons.push('few_sales');
+    if (summary.velocity * windowDays < quantity) thinReasons.push('low_velocity');
+    return {
+      world,
+      dataCenter: worldDcs.get(world) || null,
+      buyUnitCost: buy ? buy.unitCost : null,
+      availableUnits: (listingsByWorld.get(world) || []).reduce((sum, l) => sum + l.quantity, 0),
+      sellMedian: summary.median,
+      sales: summary.count,
+      velocity: summary.velocity,
+      taxRate: taxRates.get(world) ?? MARKET_TAX_RATE,
+      thinMarket: thinReasons.length > 0,
+      thinReasons,
+      buy,
+    };
+  });
 
-    .item-name {
-      font-weight: 500;
-      margin-bottom: 4px;
+  // 出品はスタック単位でしか買えないため、実際に買う数量で売上を見積もる
+  const estimateFor = (buyWorld, sellWorld) => {
+    const revenue = sellWorld.sellMedian * buyWorld.buy.units;
+    const tax = Math.round(revenue * sellWorld.taxRate);
+    const profit = revenue - tax - buyWorld.buy.cost;
+    return { revenue, tax, profit, margin: Math.round((profit / buyWorld.buy.cost) * 1000) / 1000 };
+  };
+
+  // 買うワールドと売るワールドが異なる組み合わせのうち、売値の見込みが確かなもの → 利益の大きいものを選ぶ
+  const buyCandidates = worlds.filter(w => w.buy);
+  const sellCandidates = worlds.filter(w => w.sellMedian !== null);
+  let best = null;
+  buyCandidates.forEach(buyWorld => sellCandidates.forEach(sellWorld => {
+    if (buyWorld.world === sellWorld.world) return;
+    const pair = { buy: buyWorld, sell: sellWorld, estimate: estimateFor(buyWorld, sellWorld) };
+    if (!best || (sellWorld.thinMarket - best.sell.thinMarket || best.estimate.profit - pair.estimate.profit) < 0) {
+      best = pair;
     }
+  }));
+  const bestBuy = best ? best.buy : null;
+  const bestSell = best ? best.sell : null;
+  const estimate = best ? best.estimate : { revenue: null, tax: null, profit: null, margin: null };
+
+  return {
+    buy: bestBuy ? { world: bestBuy.world, dataCenter: bestBuy.dataCenter, ...bestBuy.buy } : null,
+    sell: bestSell ? {
+      world: bestSell.world,
+      dataCenter: bestSell.dataCenter,
+      median: bestSell.sellMedian,
+      sales: bestSell.sales,
+      velocity: bestSell.velocity,
+      taxRate: bestSell.taxRate,
+    } : null,
+    ...estimate,
+    thinMarket: bestSell ? bestSell.thinMarket : true,
+    thinReasons: bestSell ? bestSell.thinReasons : ['no_sales'],
+    excludedListings: listings.filter(detectOutlier).length,
+    worlds: worlds
+      .map(({ buy, ...rest }) => rest)
+      .sort((a, b) => (a.buyUnitCost ?? Infinity) - (b.buyUnitCost ?? Infinity)),
+  };
+}
 
-    .item-meta {
-      font-size: 12px;
-      color: var(--text-muted);
-    }
+// 安い出品から順に、quantity 個以上になるまでスタック単位で購入した場合の費用
+function cheapestStacks(listings, quantity) {
+  const { selected, units } = pickCheapestStacks(listings, quantity);
+  if (units < quantity) return null;
+  const cost = selected.reduce((sum, l) => sum + l.pricePerUnit * l.quantity, 0);
+  return { units, cost, unitCost: Math.round(cost / units), listings: selected.length };
+}
 
-    .content {
-      flex: 1;
-      overflow-y: auto;
-      padding: 24px;
-    }
+// 安い出品から順に quantity 個以上になるまで選ぶ（足りない場合は全出品）
+function pickCheapestStacks(listings, quantity) {
+  const sorted = listings.slice().sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+  const selected = [];
+  let units = 0;
+  for (const listing of sorted) {
+    if (units >= quantity) break;
+    selected.push(listing);
+    units += listing.quantity;
+  }
+  return { selected, units };
+}
 
-    .content-header {
-      margin-bottom: 24px;
-    }
+function groupByWorld(entries) {
+  const groups = new Map();
+  entries.forEach(e => {
+    if (!groups.has(e.worldName)) groups.set(e.worldName, []);
+    groups.get(e.worldName).push(e);
+  });
+  return groups;
+}
 
-    .content-title {
-      font-size: 1.25rem;
-      font-weight: 600;
-      margin-bottom: 8px;
-    }
+// カンマ区切りのアイテムIDを検証する（重複は除く）
+function parseItemIds(value, max) {
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length === 0) {
+    return { error: 'items にアイテムIDをカンマ区切りで指定してください' };
+  }
+  if (!ids.every(id => /^\d+$/.test(id) && Number(id) > 0)) {
+    return { error: 'items のアイテムIDは正の整数で指定してください' };
+  }
+  const unique = [...new Set(ids.map(Number))];
+  if (unique.length > max) {
+    return { error: `items は最大${max}件まで指定できます` };
+  }
+  return { ids: unique };
+}
 
-    .content-meta {
-      color: var(--text-muted);
-      font-size: 14px;
-    }
+// 複数アイテムの必要数量から購入計画を立てる
+// mode=cheapest は合計金額、mode=min_worlds は訪問するワールド数を優先して最小化する
+async function handleShoppingList(request, config, ctx) {
+  if (request.method !== 'POST') {
+    return methodNotAllowed('POST');
+  }
+  const input = await readJsonBody(request);
+  if (!input) {
+    return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+  }
+  const parsed = parseShoppingList(input);
+  if (parsed.error) {
+    return jsonResponse({ error: 'invalid_parameter', message: parsed.error }, 400);
+  }
+  const { entries, mode, world } = parsed;
 
-    .section {
-      margin-bottom: 32px;
-    }
+  const timings = createTimings();
+  try {
+    // world 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const { data: topology } = await timings.measure('topology', () => getWorldTopology(config, ctx));
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, world);
+    if (scopeError) return scopeError;
+    const worldDcs = new Map(scope.region.dataCenters.flatMap(dc => dc.worlds.map(w => [w.name, dc.name])));
+
+    const itemIds = entries.map(e => e.itemId);
+    const [{ data: items }, market] = await Promise.all([
+      timings.measure('item', () => getItems(config, ctx, itemIds)),
+      timings.measure('market', () => getMarketListings(config, ctx, scope.name, itemIds)),
+    ]);
+    const itemNames = new Map(items.map(item => [item.id, item.name]));
+
+    // ワールド指定時は Universalis の出品に worldName が含まれないため補う
+    // 釣り出品や放置された高値を計画に含めないよう、外れ値の出品は除く
+    const candidates = entries.map(entry => {
+      const listings = (market.data.items[entry.itemId] || []).filter(l => !entry.hq || l.hq);
+      const clean = withoutOutlierListings(listings);
+      return {
+        ...entry,
+        listings: clean.map(l => ({ ...l, worldName: l.worldName || scope.name })),
+        excludedListings: listings.length - clean.length,
+      };
+    });
+    const selections = mode === 'min_worlds' ? planMinWorlds(candidates) : candidates.map(c => pickCheapestStacks(c.listings, c.quantity).selected);
+
+    const toPurchase = l => ({
+      world: l.worldName,
+      dataCenter: worldDcs.get(l.worldName) || null,
+      pricePerUnit: l.pricePerUnit,
+      quantity: l.quantity,
+      total: l.pricePerUnit * l.quantity,
+      hq: l.hq,
+      retainerName: l.retainerName,
+    });
+    const planItems = candidates.map((c, index) => {
+      const purchases = selections[index].map(toPurchase);
+      const purchased = purchases.reduce((sum, p) => sum + p.quantity, 0);
+      const cost = purchases.reduce((sum, p) => sum + p.total, 0);
+      return {
+        itemId: c.itemId,
+        itemName: itemNames.get(c.itemId) || null,
+        quantity: c.quantity,
+        hq: c.hq,
+        purchased,
+        shortfall: Math.max(0, c.quantity - purchased),
+        cost,
+        unitCost: purchased > 0 ? Math.round(cost / purchased) : null,
+        excludedListings: c.excludedListings,
+        purchases,
+      };
+    });
 
-    .section-title {
-      font-size: 1.1rem;
-      font-weight: 600;
-      margin-bottom: 12px;
-      padding-bottom: 8px;
-      border-bottom: 2px solid var(--border);
-    }
+    // ワールドごとにまとめ、DC → ワールド名の順に並べる（巡回順の目安）
+    const worldPlans = new Map();
+    planItems.forEach(item => item.purchases.forEach(p => {
+      if (!worldPlans.has(p.world)) {
+        worldPlans.set(p.world, { world: p.world, dataCenter: p.dataCenter, cost: 0, purchases: 0, itemIds: [] });
+      }
+      const plan = worldPlans.get(p.world);
+      plan.cost += p.total;
+      plan.purchases++;
+      if (!plan.itemIds.includes(item.itemId)) plan.itemIds.push(item.itemId);
+    }));
+    const worlds = [...worldPlans.values()].sort((a, b) =>
+      (a.dataCenter || '').localeCompare(b.dataCenter || '') || a.world.localeCompare(b.world));
+
+    console.log(`[Shopping] 計画作成: scope="${scope.name}", mode=${mode}, ${entries.length}アイテム, ${worlds.length}ワールド, cache=${market.cache}, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      mode,
+      totalCost: planItems.reduce((sum, item) => sum + item.cost, 0),
+      worldVisits: worlds.length,
+      fulfilled: planItems.every(item => item.shortfall === 0),
+      items: planItems,
+      worlds,
+      unresolvedItems: market.data.unresolvedItems,
+      fetchedAt: market.fetchedAt,
+      stale: market.stale,
+    }, 200);
+    response.headers.set('X-Cache', market.cache);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-    table {
-      width: 100%;
-      border-collapse: collapse;
-      background: white;
-      border-radius: 8px;
-      overflow: hidden;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+  } catch (error) {
+    console.error(`[Shopping] 計画作成エラー: error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+function parseShoppingList(input) {
+  const mode = input.mode === undefined ? 'cheapest' : input.mode;
+  if (!SHOPPING_MODES.includes(mode)) {
+    return { error: `mode は ${SHOPPING_MODES.join(' / ')} のいずれかを指定してください` };
+  }
+  if (input.world !== undefined && typeof input.world !== 'string') {
+    return { error: 'world にはワールド名・DC名・リージョン名のいずれかを指定してください' };
+  }
+  if (!Array.isArray(input.items) || input.items.length === 0) {
+    return { error: 'items に { itemId, quantity } の配列を指定してください' };
+  }
+  if (input.items.length > MAX_SHOPPING_ITEMS) {
+    return { error: `items は最大${MAX_SHOPPING_ITEMS}件まで指定できます` };
+  }
+
+  const entries = [];
+  for (const item of input.items) {
+    if (!item || !Number.isInteger(item.itemId) || item.itemId <= 0) {
+      return { error: 'itemId は正の整数で指定してください' };
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 9999) {
+      return { error: 'quantity は 1〜9999 の整数で指定してください' };
     }
+    if (item.hq !== undefined && typeof item.hq !== 'boolean') {
+      return { error: 'hq は true / false で指定してください' };
+    }
+    if (entries.some(e => e.itemId === item.itemId)) {
+      return { error: `アイテムID ${item.itemId} が重複しています` };
+    }
+    entries.push({ itemId: item.itemId, quantity: item.quantity, hq: item.hq === true });
+  }
+  return { entries, mode, world: (input.world || '').trim() };
+}
 
-    th {
-      background: var(--hover-bg);
-      padding: 12px;
-      text-align: left;
-      font-weight: 600;
-      font-size: 13px;
-      border-bottom: 2px solid var(--border);
+// 訪問ワールド数を優先した購入計画（貪欲法による近似）
+// 単独で必要数量を揃えられるアイテムが最も多いワールドから順に選び、
+// 各アイテムは選んだワールドのうち最も安く揃うワールドで購入する
+function planMinWorlds(candidates) {
+  const coverage = new Map(); // world → Map(itemId → 費用)
+  candidates.forEach(c => {
+    groupByWorld(c.listings).forEach((listings, world) => {
+      const buy = cheapestStacks(listings, c.quantity);
+      if (!buy) return;
+      if (!coverage.has(world)) coverage.set(world, new Map());
+      coverage.get(world).set(c.itemId, buy.cost);
+    });
+  });
+
+  const uncovered = new Set(candidates.map(c => c.itemId).filter(id => [...coverage.values()].some(costs => costs.has(id))));
+  const chosen = [];
+  while (uncovered.size > 0) {
+    let best = null;
+    coverage.forEach((costs, world) => {
+      if (chosen.includes(world)) return;
+      const itemIds = [...costs.keys()].filter(id => uncovered.has(id));
+      if (itemIds.length === 0) return;
+      const cost = itemIds.reduce((sum, id) => sum + costs.get(id), 0);
+      if (!best || itemIds.length > best.itemIds.length || (itemIds.length === best.itemIds.length && cost < best.cost)) {
+        best = { world, itemIds, cost };
+      }
+    });
+    chosen.push(best.world);
+    best.itemIds.forEach(id => uncovered.delete(id));
+  }
+
+  const visited = new Set(chosen);
+  return candidates.map(c => {
+    const options = chosen
+      .filter(world => coverage.get(world).has(c.itemId))
+      .sort((a, b) => coverage.get(a).get(c.itemId) - coverage.get(b).get(c.itemId));
+    if (options.length > 0) {
+      return pickCheapestStacks(c.listings.filter(l => l.worldName === options[0]), c.quantity).selected;
     }
+    // どのワールドでも単独では揃わないアイテムは、訪問予定のワールドの出品から優先して買い、
+    // 足りない分だけ他のワールドから最安で購入する
+    const planned = pickCheapestStacks(c.listings.filter(l => visited.has(l.worldName)), c.quantity);
+    const rest = planned.units < c.quantity
+      ? pickCheapestStacks(c.listings.filter(l => !visited.has(l.worldName)), c.quantity - planned.units).selected
+      : [];
+    rest.forEach(l => visited.add(l.worldName));
+    return [...planned.selected, ...rest];
+  });
+}
 
-    td {
-      padding: 12px;
-      border-bottom: 1px solid var(--border);
-      font-size: 14px;
+// レシピを素材まで再帰的に展開し、各段階で「買う」と「作る」の費用を比較する
+async function handleRecipe(url, config, ctx, itemIdParam) {
+  if (!/^\d+$/.test(itemIdParam)) {
+    return jsonResponse({ error: 'invalid_item_id', message: 'アイテムIDは数値で指定してください' }, 400);
+  }
+  const itemId = parseInt(itemIdParam, 10);
+  const params = url.searchParams;
+  const quantityParam = params.get('quantity') || '1';
+  if (!/^\d+$/.test(quantityParam) || Number(quantityParam) < 1 || Number(quantityParam) > 999) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'quantity は 1〜999 の整数で指定してください' }, 400);
+  }
+  const quantity = Number(quantityParam);
+  const hq = params.get('hq') === 'true';
+  const scopeParam = params.get('world')?.trim() || params.get('dc')?.trim() || '';
+
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const [{ data: topology }, { data: item }] = await Promise.all([
+      timings.measure('topology', () => getWorldTopology(config, ctx)),
+      timings.measure('item', () => getItem(config, ctx, itemId)),
+    ]);
+    if (!item) {
+      return jsonResponse({ error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` }, 404);
     }
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeParam);
+    if (scopeError) return scopeError;
 
-    tr:last-child td {
-      border-bottom: none;
+    const { recipesByItem, unexpandedItems, truncated } = await timings.measure('recipe', () => expandRecipes(config, ctx, itemId));
+    if (recipesByItem.get(itemId).length === 0) {
+      return jsonResponse({ error: 'recipe_not_found', message: `${item.name} のレシピが見つかりませんでした` }, 404);
     }
 
-    tr:hover {
-      background: var(--hover-bg);
+    // ツリーに含まれる全アイテムの出品を一括取得
+    const allIds = new Set([itemId]);
+    recipesByItem.forEach(recipes => recipes.forEach(r => r.ingredients.forEach(i => allIds.add(i.itemId))));
+    const { listingsByItem, markets } = await timings.measure('market', () => getListingsByItem(config, ctx, scope.name, [...allIds]));
+    // 釣り出品や放置された高値で「買う」費用が歪まないよう、外れ値の出品は除く
+    listingsByItem.forEach((listings, id) => listingsByItem.set(id, withoutOutlierListings(listings)));
+
+    const tree = priceRecipeNode({ itemId, name: item.name, quantity, ancestors: new Set() }, { recipesByItem, listingsByItem });
+
+    // 完成品の現在の最安出品を基準に、作ってそのワールドで売った場合の利益を見積もる
+    const productListings = (listingsByItem.get(itemId) || []).filter(l => !hq || l.hq);
+    const cheapestProduct = productListings.length > 0
+      ? productListings.reduce((min, l) => (l.pricePerUnit < min.pricePerUnit ? l : min))
+      : null;
+    const saleWorld = cheapestProduct ? cheapestProduct.worldName || scope.name : null;
+    const taxRate = saleWorld === null
+      ? MARKET_TAX_RATE
+      : (await timings.measure('tax', () => getSaleTaxRates(config, ctx, [saleWorld]))).get(saleWorld);
+    const marketUnitPrice = cheapestProduct ? cheapestProduct.pricePerUnit : null;
+    const saleValue = marketUnitPrice === null ? null : marketUnitPrice * quantity;
+    const profit = saleValue === null || tree.craftCost === null
+      ? null
+      : Math.round(saleValue * (1 - taxRate)) - tree.craftCost;
+
+    console.log(`[Recipe] 計算完了: itemId=${itemId}, scope="${scope.name}", ${allIds.size}アイテム, craftCost=${tree.craftCost}, buyCost=${tree.buyCost}, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      itemId,
+      itemName: item.name,
+      quantity,
+      hq,
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      taxRate,
+      marketUnitPrice,
+      saleValue,
+      buyCost: tree.buyCost,
+      craftCost: tree.craftCost,
+      bestCost: tree.bestCost,
+      profit,
+      margin: profit === null || !tree.craftCost ? null : Math.round((profit / tree.craftCost) * 1000) / 1000,
+      // 展開上限や検索件数の上限で一部のレシピを評価していない場合は true（打ち切った素材は「買う」で計算）
+      truncated,
+      unexpandedItems,
+      tree,
+      fetchedAt: Math.min(...markets.map(m => m.fetchedAt)),
+      stale: markets.some(m => m.stale),
+    }, 200);
+    response.headers.set('X-Cache', summarizeCacheStatus(markets.map(m => m.cache)));
+    response.headers.set('Server-Timing', timings.header());
+    return response;
+
+  } catch (error) {
+    console.error(`[Recipe] 計算エラー: itemId=${itemId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+// 完成品から素材へ1段ずつレシピを取得する（同じ段のアイテムはまとめて検索）
+// recipesByItem は itemId → レシピ配列（レシピのないアイテム、または展開上限を超えたアイテムは空配列または未登録）
+// unexpandedItems は展開上限で打ち切ったアイテム数、truncated はそれに加えて検索結果が上限で欠けた場合も true
+async function expandRecipes(config, ctx, itemId) {
+  const recipesByItem = new Map();
+  let frontier = [itemId];
+  let searchTruncated = false;
+  for (let depth = 0; depth < MAX_RECIPE_DEPTH && frontier.length > 0; depth++) {
+    const { data: { recipes, truncated } } = await getRecipesByResult(config, ctx, frontier);
+    searchTruncated = searchTruncated || truncated;
+    frontier.forEach(id => recipesByItem.set(id, []));
+    recipes.forEach(recipe => {
+      if (recipesByItem.has(recipe.resultId)) recipesByItem.get(recipe.resultId).push(recipe);
+    });
+    const next = new Set(recipes.flatMap(recipe => recipe.ingredients.map(i => i.itemId)));
+    frontier = [...next].filter(id => !recipesByItem.has(id));
+    if (recipesByItem.size + frontier.length > MAX_RECIPE_ITEMS) {
+      console.log(`[Recipe] 展開上限に達したため打ち切り: itemId=${itemId}, depth=${depth + 1}`);
+      break;
     }
+  }
+  return { recipesByItem, unexpandedItems: frontier.length, truncated: searchTruncated || frontier.length > 0 };
+}
 
-    .price {
-      font-weight: 600;
-      color: var(--primary);
+// ノードの購入費用と製作費用を求め、安い方を採用する
+// 製作費用は素材ごとに「買う」「作る」の安い方を積み上げた値（混合戦略）
+function priceRecipeNode({ itemId, name, quantity, ancestors }, { recipesByItem, listingsByItem }) {
+  // 出品はスタック単位でしか買えないため、必要数量を揃えたときの平均単価で費用を見積もる
+  const buy = cheapestStacks(listingsByItem.get(itemId) || [], quantity);
+  const buyCost = buy ? buy.unitCost * quantity : null;
+
+  // 素材に自分自身（または祖先）を含むレシピは循環するため除外
+  const path = new Set([...ancestors, itemId]);
+  const recipes = (recipesByItem.get(itemId) || [])
+    .filter(recipe => recipe.ingredients.every(i => !path.has(i.itemId)));
+
+  let best = null;
+  recipes.forEach(recipe => {
+    const crafts = Math.ceil(quantity / recipe.amountResult);
+    const ingredients = recipe.ingredients.map(i => priceRecipeNode(
+      { itemId: i.itemId, name: i.name, quantity: i.amount * crafts, ancestors: path },
+      { recipesByItem, listingsByItem },
+    ));
+    const craftCost = ingredients.every(i => i.bestCost !== null)
+      ? ingredients.reduce((sum, i) => sum + i.bestCost, 0)
+      : null;
+    const candidate = {
+      recipe: { id: recipe.id, craftType: recipe.craftType, amountResult: recipe.amountResult, crafts, ingredients },
+      craftCost,
+    };
+    if (!best || (craftCost !== null && (best.craftCost === null || craftCost < best.craftCost))) {
+      best = candidate;
     }
+  });
 
-    .badge-hq {
-      display: inline-block;
-      background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
-      color: white;
-      font-size: 11px;
-      font-weight: 700;
-      padding: 2px 6px;
-      border-radius: 3px;
-      vertical-align: middle;
-      box-shadow: 0 1px 2px rgba(0,0,0,0.1);
-    }
+  const craftCost = best ? best.craftCost : null;
+  let strategy = 'unavailable';
+  if (buyCost !== null && (craftCost === null || buyCost <= craftCost)) strategy = 'buy';
+  else if (craftCost !== null) strategy = 'craft';
+
+  return {
+    itemId,
+    itemName: name,
+    quantity,
+    buyUnitPrice: buy ? buy.unitCost : null,
+    buyCost,
+    craftCost,
+    bestCost: strategy === 'buy' ? buyCost : strategy === 'craft' ? craftCost : null,
+    strategy,
+    recipe: best ? best.recipe : null,
+  };
+}
 
-    .empty-state {
-      text-align: center;
-      padding: 48px 24px;
-      color: var(--text-muted);
-    }
+// 素材として使われるレシピを調べ、完成品の売れ行きから素材1個あたりの価値を逆算する
+async function handleUsedIn(url, config, ctx, itemIdParam) {
+  if (!/^\d+$/.test(itemIdParam)) {
+    return jsonResponse({ error: 'invalid_item_id', message: 'アイテムIDは数値で指定してください' }, 400);
+  }
+  const itemId = parseInt(itemIdParam, 10);
+  const params = url.searchParams;
+  const hq = params.get('hq') === 'true';
+  const scopeParam = params.get('world')?.trim() || params.get('dc')?.trim() || '';
 
-    .loading {
-      text-align: center;
-      padding: 24px;
-      color: var(--text-muted);
+  const timings = createTimings();
+  try {
+    // world / dc 未指定の場合はデフォルトワールドが属するリージョン全体を対象にする
+    const [{ data: topology }, { data: item }, { data: { recipes, truncated: searchTruncated } }] = await Promise.all([
+      timings.measure('topology', () => getWorldTopology(config, ctx)),
+      timings.measure('item', () => getItem(config, ctx, itemId)),
+      timings.measure('recipe', () => getRecipesByIngredient(config, ctx, itemId)),
+    ]);
+    if (!item) {
+      return jsonResponse({ error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` }, 404);
     }
+    const { scope, response: scopeError } = resolveRequestScope(topology, config, scopeParam);
+    if (scopeError) return scopeError;
+
+    // 完成品が多すぎる場合は先頭から MAX_USED_IN_PRODUCTS 件のみ評価する
+    const matched = recipes.filter(recipe => recipe.resultId > 0 && recipe.ingredients.some(i => i.itemId === itemId));
+    const targets = matched.slice(0, MAX_USED_IN_PRODUCTS);
+    const productIds = [...new Set(targets.map(recipe => recipe.resultId))];
+    const priceIds = [...new Set([itemId, ...targets.flatMap(recipe => [recipe.resultId, ...recipe.ingredients.map(i => i.itemId)])])];
+
+    const [{ listingsByItem, markets }, sales] = await Promise.all([
+      timings.measure('market', () => getListingsByItem(config, ctx, scope.name, priceIds)),
+      productIds.length > 0
+        ? timings.measure('history', () => getSalesHistory(config, ctx, scope.name, productIds))
+        : null,
+    ]);
+    // 釣り出品や放置された高値で最安値が歪まないよう、外れ値の出品は除く
+    listingsByItem.forEach((listings, id) => listingsByItem.set(id, withoutOutlierListings(listings)));
+
+    const cheapestListing = (id, hqOnly) => {
+      const listings = (listingsByItem.get(id) || []).filter(l => !hqOnly || l.hq);
+      return listings.length > 0 ? listings.reduce((min, l) => (l.pricePerUnit < min.pricePerUnit ? l : min)) : null;
+    };
+    const cheapest = (id, hqOnly) => cheapestListing(id, hqOnly)?.pricePerUnit ?? null;
+    const materialPrice = cheapest(itemId, false);
 
-    .table-wrapper {
-      overflow-x: auto;
-      -webkit-overflow-scrolling: touch;
-    }
+    // 製品は最安出品のあるワールドで売るものとし、そのワールドの税率で手取りを求める
+    const saleWorld = id => {
+      const listing = cheapestListing(id, hq);
+      return listing ? listing.worldName || scope.name : null;
+    };
+    const taxRates = await timings.measure('tax',
+      () => getSaleTaxRates(config, ctx, targets.map(recipe => saleWorld(recipe.resultId)).filter(Boolean)));
+
+    const products = targets.map(recipe => {
+      const materialAmount = recipe.ingredients.find(i => i.itemId === itemId).amount;
+      const productPrice = cheapest(recipe.resultId, hq);
+      const productSales = ((sales && sales.data.items[recipe.resultId]) || []).filter(h => !hq || h.hq);
+      const summary = summarizeSales(productSales, STATS_WINDOW);
+
+      // 他の素材は最安出品で買うものとして差し引く
+      const others = recipe.ingredients.filter(i => i.itemId !== itemId);
+      const otherCosts = others.map(i => {
+        const price = cheapest(i.itemId, false);
+        return price === null ? null : price * i.amount;
+      });
+      const missingPrices = productPrice === null || otherCosts.includes(null);
+      const otherIngredientsCost = otherCosts.reduce((sum, cost) => sum + (cost || 0), 0);
+      const taxRate = productPrice === null ? null : taxRates.get(saleWorld(recipe.resultId));
+      const netValue = productPrice === null ? null : Math.round(productPrice * recipe.amountResult * (1 - taxRate));
+      const impliedValue = missingPrices ? null : Math.round((netValue - otherIngredientsCost) / materialAmount);
 
-    /* モバイル対応 */
-    @media (max-width: 768px) {
-      .header {
-        flex-direction: column;
-        gap: 12px;
-        align-items: stretch;
-      }
+      return {
+        recipeId: recipe.id,
+        craftType: recipe.craftType,
+        itemId: recipe.resultId,
+        itemName: recipe.resultName,
+        amountResult: recipe.amountResult,
+        materialAmount,
+        productPrice,
+        taxRate,
+        sales: summary.count,
+        velocity: summary.velocity,
+        otherIngredientsCost,
+        impliedValue,
+        // 素材をそのまま売る場合と比べた、素材1個あたりの上乗せ額
+        premium: impliedValue === null || materialPrice === null ? null : impliedValue - materialPrice,
+        missingPrices,
+        thinMarket: summary.count < THIN_MARKET_MIN_SALES,
+      };
+    })
+      // 素材1個あたりの価値が高い順（価格が揃わないものは末尾）
+      .sort((a, b) => (a.impliedValue === null) - (b.impliedValue === null) || (b.impliedValue || 0) - (a.impliedValue || 0));
+
+    console.log(`[UsedIn] 計算完了: itemId=${itemId}, scope="${scope.name}", レシピ${matched.length}件${searchTruncated ? '以上' : ''}中${products.length}件を評価, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      itemId,
+      itemName: item.name,
+      hq,
+      region: scope.region.name,
+      scope: { type: scope.type, name: scope.name },
+      windowDays: STATS_WINDOW / 86400,
+      materialPrice,
+      total: matched.length,
+      // 検索件数の上限（RECIPE_SEARCH_LIMIT）または評価件数の上限（MAX_USED_IN_PRODUCTS）で一部のレシピを評価していない場合は true
+      truncated: searchTruncated || matched.length > products.length,
+      products,
+      fetchedAt: Math.min(...markets.map(m => m.fetchedAt)),
+      stale: markets.some(m => m.stale) || Boolean(sales && sales.stale),
+    }, 200);
+    response.headers.set('X-Cache', summarizeCacheStatus([...markets.map(m => m.cache), sales && sales.cache]));
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-      h1 {
-        font-size: 1.25rem;
-      }
+  } catch (error) {
+    console.error(`[UsedIn] 計算エラー: itemId=${itemId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-      .header-right {
-        flex-direction: column;
-        gap: 8px;
-      }
+// 出品する場合の推奨価格（NQ / HQ 別）
+async function handleSuggestPrice(url, config, ctx, itemIdParam) {
+  if (!/^\d+$/.test(itemIdParam)) {
+    return jsonResponse({ error: 'invalid_item_id', message: 'アイテムIDは数値で指定してください' }, 400);
+  }
+  const itemId = parseInt(itemIdParam, 10);
+  const params = url.searchParams;
+  const quantityParam = params.get('quantity')?.trim() || '1';
+  if (!/^\d+$/.test(quantityParam) || Number(quantityParam) < 1 || Number(quantityParam) > 9999) {
+    return jsonResponse({ error: 'invalid_parameter', message: 'quantity は 1〜9999 の整数で指定してください' }, 400);
+  }
+  const quantity = Number(quantityParam);
+  // 出品はワールド単位のため、DC / リージョンは指定できない
+  const worldParam = params.get('world')?.trim() || config.defaultWorld;
 
-      .header-right select {
-        width: 100%;
-      }
+  const timings = createTimings();
+  try {
+    const [{ data: topology }, { data: item }] = await Promise.all([
+      timings.measure('topology', () => getWorldTopology(config, ctx)),
+      timings.measure('item', () => getItem(config, ctx, itemId)),
+    ]);
+    if (!item) {
+      return jsonResponse({ error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` }, 404);
+    }
+    if (!params.get('world')?.trim()) verifyDefaultWorld(config, topology);
+    const scope = resolveScope(topology, worldParam);
+    if (!scope) {
+      return jsonResponse({ error: 'unknown_world', message: `ワールド "${worldParam}" が見つかりませんでした` }, 400);
+    }
+    if (scope.type !== 'world') {
+      return jsonResponse({ error: 'world_required', message: '出品するワールドを指定してください' }, 400);
+    }
 
-      .main-container {
-        flex-direction: column;
-      }
+    // リージョン全体のデータ（詳細画面と共有のキャッシュ）から対象ワールドの分だけを使う
+    const [history, taxRates] = await Promise.all([
+      timings.measure('market', () => getRegionHistory(config, ctx, scope.region.name, itemId)),
+      timings.measure('tax', () => getSaleTaxRates(config, ctx, [scope.name])),
+    ]);
+    const taxRate = taxRates.get(scope.name);
+    const now = Math.floor(Date.now() / 1000);
+    // 釣り出品や放置された高値に合わせないよう、外れ値の出品・取引は除いて計算する
+    const detectOutlier = createMarketOutlierDetector(history.data);
+    const worldListings = (history.data.listings || []).filter(l => l.worldName === scope.name);
+    const listings = worldListings.filter(l => !detectOutlier(l));
+    const sales = (history.data.recentHistory || [])
+      .filter(h => h.worldName === scope.name && h.timestamp >= now - STATS_WINDOW && !detectOutlier(h));
+
+    const suggestFor = hq => suggestListingPrice(listings.filter(l => l.hq === hq), sales.filter(h => h.hq === hq), quantity, taxRate);
+    console.log(`[Suggest] 計算完了: itemId=${itemId}, world="${scope.name}", quantity=${quantity}, 出品${listings.length}件, 取引${sales.length}件, timing=${timings.header()}`);
+
+    const response = jsonResponse({
+      itemId,
+      itemName: item.name,
+      world: scope.name,
+      dataCenter: scope.dataCenter.name,
+      quantity,
+      taxRate,
+      windowDays: STATS_WINDOW / 86400,
+      excludedListings: worldListings.length - listings.length,
+      nq: suggestFor(false),
+      hq: suggestFor(true),
+      fetchedAt: history.fetchedAt,
+      stale: history.stale,
+    }, 200);
+    response.headers.set('X-Cache', history.cache);
+    response.headers.set('Server-Timing', timings.header());
+    return response;
 
-      .sidebar {
-        width: 100%;
-        max-height: 40vh;
-        border-right: none;
-        border-bottom: 1px solid var(--border);
-      }
+  } catch (error) {
+    console.error(`[Suggest] 計算エラー: itemId=${itemId}, world="${worldParam}", error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-      .content {
-        padding: 16px;
-      }
+// 出品状況（最安値付近の競合・スタックサイズ）と直近の取引（価格分布・販売速度）から推奨価格を求める
+function suggestListingPrice(listings, sales, quantity, taxRate) {
+  const sorted = listings.slice().sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+  const cheapest = sorted.length > 0 ? sorted[0].pricePerUnit : null;
+  const nearFloor = sorted.filter(l => l.pricePerUnit <= cheapest * (1 + UNDERCUT_BAND));
+  const competition = {
+    listings: sorted.length,
+    units: sorted.reduce((sum, l) => sum + l.quantity, 0),
+    cheapest,
+    undercutDepth: nearFloor.length,
+    unitsNearFloor: nearFloor.reduce((sum, l) => sum + l.quantity, 0),
+    typicalStack: sorted.length > 0 ? Math.round(quantile(sorted.map(l => l.quantity).sort((a, b) => a - b), 0.5)) : null,
+  };
+  const summary = summarizeSales(sales, STATS_WINDOW);
+  const saleQuantities = sales.map(h => h.quantity).sort((a, b) => a - b);
+  const recent = {
+    count: summary.count,
+    p25: summary.p25,
+    median: summary.median,
+    p75: summary.p75,
+    velocity: summary.velocity,
+    typicalQuantity: saleQuantities.length > 0 ? Math.round(quantile(saleQuantities, 0.5)) : null,
+  };
+
+  // 出品があれば最安値を1ギル下回る価格、なければ直近の取引の中央値
+  let suggestedPrice = null;
+  let basis = null;
+  const reasons = [];
+  if (cheapest !== null) {
+    suggestedPrice = Math.max(1, cheapest - 1);
+    basis = 'undercut';
+  } else if (summary.median !== null) {
+    suggestedPrice = summary.median;
+    basis = 'recent_sales';
+    reasons.push('no_competition');
+  }
 
-      .content-title {
-        font-size: 1.1rem;
-      }
+  if (summary.count === 0) {
+    reasons.push('no_sales');
+  } else if (summary.count < THIN_MARKET_MIN_SALES) {
+    reasons.push('few_sales');
+  }
+  if (suggestedPrice !== null && summary.count > 0) {
+    if (suggestedPrice < summary.p25) reasons.push('below_recent_sales');
+    if (suggestedPrice > summary.p75) reasons.push('above_recent_sales');
+  }
+  if (competition.undercutDepth >= CROWDED_MARKET_LISTINGS) reasons.push('crowded');
+  // 出品はスタック単位でしか買われないため、直近に売れた数量より大きいスタックは売れにくい
+  if (saleQuantities.length > 0 && quantity > saleQuantities[saleQuantities.length - 1]) reasons.push('large_stack');
+
+  // 最安値付近の競合は値下げで先に売れるとみなし、その数量を消化してから自分の分が売れるまでの時間
+  const expectedHoursToSell = suggestedPrice !== null && summary.velocity > 0
+    ? Math.round(((quantity + (basis === 'undercut' ? competition.unitsNearFloor : 0)) / summary.velocity) * 24 * 10) / 10
+    : null;
+
+  let confidence = null;
+  if (suggestedPrice !== null) {
+    if (summary.count === 0 || reasons.length >= 2) confidence = 'low';
+    else confidence = reasons.length === 1 ? 'medium' : 'high';
+  }
 
-      .section-title {
-        font-size: 1rem;
-      }
+  return {
+    suggestedPrice,
+    netPrice: suggestedPrice === null ? null : netOfTax(suggestedPrice, taxRate),
+    basis,
+    expectedHoursToSell,
+    confidence,
+    reasons,
+    competition,
+    sales: recent,
+  };
+}
 
-      table {
-        font-size: 12px;
-      }
+// 出品一覧の絞り込み・並び替え・ページング用パラメータを検証する
+function parseListingParams(params) {
+  const readInt = (name, defaultValue) => {
+    const raw = params.get(name);
+    if (raw === null || raw.trim() === '') return defaultValue;
+    return /^\d+$/.test(raw.trim()) ? parseInt(raw, 10) : NaN;
+  };
+
+  const minPrice = readInt('min_price', 0);
+  const maxPrice = readInt('max_price', MAX_LISTING_PRICE);
+  const page = readInt('page', 1);
+  const perPage = readInt('per_page', DEFAULT_PER_PAGE);
+  const sort = params.get('sort') || 'price_asc';
+  const outliers = params.get('outliers') || 'exclude';
+  const materia = params.get('materia') || '';
+  const dyed = params.get('dyed') || '';
+  const maxAgeParam = params.get('max_age') || '';
+  const maxAge = maxAgeParam === '' ? null : parseRange(maxAgeParam);
+
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: 'min_price / max_price は0以上の整数で指定してください' };
+  }
+  if (minPrice > maxPrice) {
+    return { error: 'min_price は max_price 以下で指定してください' };
+  }
+  if (Number.isNaN(page) || page < 1) {
+    return { error: 'page は1以上の整数で指定してください' };
+  }
+  if (Number.isNaN(perPage) || perPage < 1) {
+    return { error: 'per_page は1以上の整数で指定してください' };
+  }
+  if (!LISTING_SORTS[sort]) {
+    return { error: `sort は ${Object.keys(LISTING_SORTS).join(' / ')} のいずれかを指定してください` };
+  }
+  if (!OUTLIER_MODES.includes(outliers)) {
+    return { error: `outliers は ${OUTLIER_MODES.join(' / ')} のいずれかを指定してください` };
+  }
+  if (materia !== '' && materia !== 'none' && materia !== 'any') {
+    return { error: 'materia は none / any のいずれかを指定してください' };
+  }
+  if (dyed !== '' && dyed !== 'true' && dyed !== 'false') {
+    return { error: 'dyed は true / false で指定してください' };
+  }
+  if (maxAge === null && maxAgeParam !== '') {
+    return { error: 'max_age は 6h / 3d のように指定してください' };
+  }
 
-      th, td {
-        padding: 8px 6px;
-      }
+  // per_page は上限で切り詰める
+  return {
+    minPrice, maxPrice, page, perPage: Math.min(perPage, MAX_PER_PAGE), sort, outliers,
+    materia: materia || null,
+    dyed: dyed === '' ? null : dyed === 'true',
+    maxAge,
+  };
+}
 
-      .item {
-        padding: 10px 12px;
-      }
+// 検索範囲に含まれるワールド名の一覧
+function scopeWorldNames(scope) {
+  if (scope.type === 'world') return [scope.world.name];
+  if (scope.type === 'dc') return scope.dataCenter.worlds.map(w => w.name);
+  return scope.region.dataCenters.flatMap(dc => dc.worlds.map(w => w.name));
+}
+
+// "24h" / "7d" 形式の期間を秒数に変換
+function parseRange(value) {
+  const match = /^(\d+)([hd])$/.exec(value);
+  if (!match) return null;
+  const amount = parseInt(match[1], 10);
+  if (amount <= 0) return null;
+  return amount * (match[2] === 'h' ? 3600 : 86400);
+}
+
+// 取引履歴を区間ごとに集計する。区間の境界は tzOffset（分）のローカル時刻で揃える
+// archiveRows は日次アーカイブ（UTC日単位・ワールド別）の集計値で、その日の 0:00 UTC の区間に含める
+function aggregateHistory(entries, granularity, tzOffset, archiveRows = []) {
+  const offsetSeconds = tzOffset * 60;
+  const buckets = new Map();
+  const bucketAt = timestamp => {
+    const start = bucketStart(timestamp + offsetSeconds, granularity) - offsetSeconds;
+    if (!buckets.has(start)) {
+      buckets.set(start, { prices: [], rows: [], volume: 0 });
     }
+    return buckets.get(start);
+  };
 
-    @media (max-width: 480px) {
-      .header {
-        padding: 12px 16px;
-      }
+  entries.forEach(h => {
+    const bucket = bucketAt(h.timestamp);
+    bucket.prices.push(h.pricePerUnit);
+    bucket.volume += h.quantity;
+  });
+  archiveRows.forEach(row => {
+    const bucket = bucketAt(row.day);
+    bucket.rows.push(row);
+    bucket.volume += row.volume;
+  });
 
-      .content {
-        padding: 12px;
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, bucket]) => {
+      const sorted = bucket.prices.slice().sort((a, b) => a - b);
+      if (bucket.rows.length === 0) {
+        return {
+          start,
+          avg: Math.round(mean(sorted)),
+          median: Math.round(quantile(sorted, 0.5)),
+          min: sorted[0],
+          max: sorted[sorted.length - 1],
+          volume: bucket.volume,
+          sales: sorted.length,
+        };
       }
+      // アーカイブを含む区間の中央値は、各日の中央値を取引件数で重み付けした近似値
+      const sales = sorted.length + bucket.rows.reduce((sum, row) => sum + row.sales, 0);
+      const priceSum = sorted.reduce((sum, p) => sum + p, 0) + bucket.rows.reduce((sum, row) => sum + row.avg * row.sales, 0);
+      const weighted = [
+        ...sorted.map(price => ({ value: price, weight: 1 })),
+        ...bucket.rows.map(row => ({ value: row.median, weight: row.sales })),
+      ];
+      return {
+        start,
+        avg: Math.round(priceSum / sales),
+        median: Math.round(weightedMedian(weighted)),
+        min: Math.min(...sorted, ...bucket.rows.map(row => row.min)),
+        max: Math.max(...sorted, ...bucket.rows.map(row => row.max)),
+        volume: bucket.volume,
+        sales,
+        archived: true,
+      };
+    });
+}
 
-      h1 {
-        font-size: 1.1rem;
-      }
+// ローカル時刻（秒）を区間の開始時刻に丸める。週は月曜始まり
+function bucketStart(localSeconds, granularity) {
+  const size = HISTORY_GRANULARITIES[granularity];
+  if (granularity !== 'week') {
+    return Math.floor(localSeconds / size) * size;
+  }
+  const day = Math.floor(localSeconds / 86400);
+  const weekday = (day + 3) % 7; // 1970-01-01 は木曜日
+  return (day - weekday) * 86400;
+}
 
-      table {
-        font-size: 11px;
-      }
+// ===== 価格アラート =====
+// ルールは KV（MARKET_KV）に alert:<id> として保存し、Cron Trigger（evaluateAlerts）で定期的に評価する
+// 評価で変わる通知状態は alertstate:<id> に分けて保存し、評価中の API による更新・削除を上書きしない
+const ALERT_KEY_PREFIX = 'alert:';
+const ALERT_STATE_KEY_PREFIX = 'alertstate:';
+const INITIAL_ALERT_STATE = { active: false, lastValue: null, changedAt: null, lastNotifiedAt: null };
+const ALERT_CONDITIONS = {
+  cheapest_below: '最安値が閾値を下回る',
+  velocity_above: '販売速度（個/日）が閾値を上回る',
+};
+const DEFAULT_ALERT_COOLDOWN = 60;  // 通知後、同じルールを再通知しない期間の初期値（分）
+const MAX_ALERT_COOLDOWN = 10080;   // 再通知しない期間の上限（分、7日）
+const MAX_ALERT_RULES = 200;        // 登録できるルール数の上限（評価時の上流呼び出し数を抑える）
+const ALERTS_PER_RUN = 40;          // 定期評価1回で評価するルール数の上限（残りは次回以降に順番に評価する）
+const WEBHOOK_TIMEOUT_MS = 5000;    // Webhook 送信のタイムアウト
 
-      th, td {
-        padding: 6px 4px;
-      }
+async function handleAlerts(request, env, ctx, config, alertId) {
+  const access = authorizeStoredApi(request, env, config, 'アラート');
+  if (access.response) return access.response;
+  const { kv } = access;
 
-      .badge-hq {
-        font-size: 10px;
-        padding: 1px 4px;
+  try {
+    if (!alertId) {
+      if (request.method === 'GET') {
+        const rules = await listAlertRules(kv);
+        const states = await Promise.all(rules.map(rule => loadAlertState(kv, rule)));
+        return jsonResponse({ total: rules.length, alerts: rules.map((rule, index) => publicAlertRule(rule, states[index])) }, 200);
+      }
+      if (request.method === 'POST') {
+        const input = await readJsonBody(request);
+        if (!input) {
+          return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+        }
+        const existing = await listAlertRules(kv);
+        if (existing.length >= MAX_ALERT_RULES) {
+          return jsonResponse({ error: 'too_many_alerts', message: `アラートは最大${MAX_ALERT_RULES}件まで登録できます` }, 409);
+        }
+        const now = Date.now();
+        const result = await buildAlertRule(config, ctx, input, { id: crypto.randomUUID(), createdAt: now });
+        if (result.response) return result.response;
+        await kv.put(ALERT_KEY_PREFIX + result.rule.id, JSON.stringify(result.rule));
+        console.log(`[Alert] ルール作成: id=${result.rule.id}, itemId=${result.rule.itemId}, world="${result.rule.world}", condition=${result.rule.condition.type}`);
+        return jsonResponse(publicAlertRule(result.rule, INITIAL_ALERT_STATE), 201);
       }
+      return methodNotAllowed('GET, POST');
     }
 
-    /* グラフ用スタイル */
-    .chart-container {
-      background: white;
-      border-radius: 8px;
-      padding: 20px;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
-      margin-top: 16px;
+    const rule = await kv.get(ALERT_KEY_PREFIX + alertId, 'json');
+    if (!rule) {
+      return jsonResponse({ error: 'alert_not_found', message: `アラート ${alertId} が見つかりませんでした` }, 404);
     }
 
-    .chart-wrapper {
-      position: relative;
-      height: 400px;
-      width: 100%;
+    const state = await loadAlertState(kv, rule);
+    if (request.method === 'GET') {
+      return jsonResponse(publicAlertRule(rule, state), 200);
     }
-
-    @media (max-width: 768px) {
-      .chart-wrapper {
-        height: 300px;
+    if (request.method === 'PUT') {
+      const input = await readJsonBody(request);
+      if (!input) {
+        return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+      }
+      // 指定された項目だけを上書きし、条件が変わった場合は発火状態をリセットする
+      const merged = { ...rule, ...input };
+      if (input.condition && typeof input.condition === 'object') {
+        merged.condition = { ...rule.condition, ...input.condition };
       }
+      const result = await buildAlertRule(config, ctx, merged, rule);
+      if (result.response) return result.response;
+      const updated = result.rule;
+      const changed = JSON.stringify(updated.condition) !== JSON.stringify(rule.condition)
+        || updated.itemId !== rule.itemId || updated.world !== rule.world || updated.hq !== rule.hq;
+      const updatedState = changed ? { ...INITIAL_ALERT_STATE, lastNotifiedAt: state.lastNotifiedAt || null } : state;
+      await kv.put(ALERT_KEY_PREFIX + rule.id, JSON.stringify(updated));
+      await kv.put(ALERT_STATE_KEY_PREFIX + rule.id, JSON.stringify(updatedState));
+      console.log(`[Alert] ルール更新: id=${rule.id}`);
+      return jsonResponse(publicAlertRule(updated, updatedState), 200);
     }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1>FFXIV マーケット検索</h1>
-    <div class="header-right">
-      <label>データセンター:</label>
-      <select id="dcSelect">
-        <option value="">全エリア</option>
-      </select>
-      <label>ワールド:</label>
-      <select id="worldSelect">
-        <option value="">全ワールド</option>
-      </select>
-      <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
-        <input type="checkbox" id="hqOnly" style="cursor: pointer;">
-        <span>HQのみ</span>
-      </label>
-    </div>
-  </div>
+    if (request.method === 'DELETE') {
+      await kv.delete(ALERT_KEY_PREFIX + rule.id);
+      await kv.delete(ALERT_STATE_KEY_PREFIX + rule.id);
+      console.log(`[Alert] ルール削除: id=${rule.id}`);
+      return jsonResponse({ id: rule.id, deleted: true }, 200);
+    }
+    return methodNotAllowed('GET, PUT, DELETE');
 
-  <div class="main-container">
-    <div class="sidebar">
-      <div class="search-box">
-        <input type="text" id="searchInput" placeholder="アイテム名で検索..." />
-      </div>
-      <div class="item-list" id="itemList">
-        <div class="empty-state">アイテムを検索してください</div>
-      </div>
-    </div>
+  } catch (error) {
+    console.error(`[Alert] APIエラー: method=${request.method}, id=${alertId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
 
-    <div class="content" id="content">
-      <div class="empty-state">
-        左側のリストからアイテムを選択してください
-      </div>
-    </div>
-  </div>
+// 入力を検証して保存用のルールを組み立てる。エラー時は { response } を返す
+// base には既存ルール（更新時）または id・作成日時（作成時）を渡す
+async function buildAlertRule(config, ctx, input, base) {
+  const invalid = message => ({ response: jsonResponse({ error: 'invalid_parameter', message }, 400) });
 
-  <script>
-    let searchResults = [];
-    let selectedItem = null;
-    let debounceTimer = null;
-    let worldData = { dataCenters: [], worlds: [] };
+  if (!/^\d+$/.test(String(input.itemId ?? '')) || Number(input.itemId) <= 0) {
+    return invalid('itemId は正の整数で指定してください');
+  }
+  const itemId = Number(input.itemId);
 
-    const searchInput = document.getElementById('searchInput');
-    const dcSelect = document.getElementById('dcSelect');
-    const worldSelect = document.getElementById('worldSelect');
-    const hqOnly = document.getElementById('hqOnly');
-    const itemList = document.getElementById('itemList');
-    const content = document.getElementById('content');
+  const worldInput = input.world === undefined ? config.defaultWorld : input.world;
+  if (typeof worldInput !== 'string' || worldInput.trim() === '') {
+    return invalid('world にはワールド名・DC名・リージョン名のいずれかを指定してください');
+  }
 
-    // 初期化：ワールド/DCデータを取得
-    (async function init() {
-      try {
-        const response = await fetch('https://v2.xivapi.com/api/sheet/World?fields=Name,DataCenter.Name,Region,IsPublic&language=ja&limit=400');
-        const data = await response.json();
+  const hq = input.hq === undefined ? false : input.hq;
+  if (typeof hq !== 'boolean') {
+    return invalid('hq は true / false で指定してください');
+  }
 
-        // IsPublic=trueのワールドのみ抽出
-        const publicWorlds = data.rows
-          .filter(r => r.fields.IsPublic === true)
-          .map(r => ({
-            name: r.fields.Name,
-            dc: r.fields.DataCenter.fields.Name
-          }));
+  const condition = input.condition;
+  if (!condition || typeof condition !== 'object' || !ALERT_CONDITIONS[condition.type]) {
+    return invalid(`condition.type は ${Object.keys(ALERT_CONDITIONS).join(' / ')} のいずれかを指定してください`);
+  }
+  const threshold = condition.threshold;
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0) {
+    return invalid('condition.threshold は正の数値で指定してください');
+  }
 
-        // データセンターリストを作成（重複除去）
-        const dcSet = new Set(publicWorlds.map(w => w.dc));
-        worldData.dataCenters = Array.from(dcSet).sort();
-        worldData.worlds = publicWorlds;
+  const webhookUrl = input.webhookUrl ?? null;
+  if (webhookUrl !== null && !isHttpsUrl(webhookUrl)) {
+    return invalid('webhookUrl は https:// で始まるURLを指定してください');
+  }
+  if (!webhookUrl && !config.alertWebhookUrl) {
+    return invalid('webhookUrl を指定するか、ALERT_WEBHOOK_URL を設定してください');
+  }
 
-        // データセンタープルダウンを設定
-        worldData.dataCenters.forEach(dc => {
-          const option = document.createElement('option');
-          option.value = dc;
-          option.textContent = dc;
-          dcSelect.appendChild(option);
-        });
+  const cooldownMinutes = input.cooldownMinutes === undefined ? DEFAULT_ALERT_COOLDOWN : input.cooldownMinutes;
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > MAX_ALERT_COOLDOWN) {
+    return invalid(`cooldownMinutes は 1〜${MAX_ALERT_COOLDOWN} の整数で指定してください`);
+  }
 
-      } catch (error) {
-        console.error('Failed to load world data:', error);
-      }
-    })();
+  const enabled = input.enabled === undefined ? true : input.enabled;
+  if (typeof enabled !== 'boolean') {
+    return invalid('enabled は true / false で指定してください');
+  }
 
-    // データセンター選択時にワールドを絞り込み
-    dcSelect.addEventListener('change', () => {
-      const selectedDC = dcSelect.value;
-      worldSelect.innerHTML = '<option value="">全ワールド</option>';
+  // ワールド名は正規の表記に揃え、アイテム名は通知文用に保存しておく
+  const [{ data: topology }, { data: item }] = await Promise.all([
+    getWorldTopology(config, ctx),
+    getItem(config, ctx, itemId),
+  ]);
+  if (input.world === undefined) verifyDefaultWorld(config, topology);
+  const scope = resolveScope(topology, worldInput.trim());
+  if (!scope) {
+    return { response: jsonResponse({ error: 'unknown_world', message: `ワールド "${worldInput}" が見つかりませんでした` }, 400) };
+  }
+  if (!item) {
+    return { response: jsonResponse({ error: 'item_not_found', message: `アイテムID ${itemId} が見つかりませんでした` }, 404) };
+  }
 
-      if (selectedDC) {
-        const filteredWorlds = worldData.worlds.filter(w => w.dc === selectedDC);
-        filteredWorlds.forEach(w => {
-          const option = document.createElement('option');
-          option.value = w.name;
-          option.textContent = w.name;
-          worldSelect.appendChild(option);
-        });
-      } else {
-        // 全エリア選択時は全ワールド表示
-        worldData.worlds.forEach(w => {
-          const option = document.createElement('option');
-          option.value = w.name;
-          option.textContent = \`\${w.name} (\${w.dc})\`;
-          worldSelect.appendChild(option);
-        });
-      }
+  return {
+    rule: {
+      id: base.id,
+      itemId,
+      itemName: item.name,
+      world: scope.name,
+      hq,
+      condition: { type: condition.type, threshold },
+      webhookUrl,
+      cooldownMinutes,
+      enabled,
+      createdAt: base.createdAt,
+      updatedAt: Date.now(),
+    },
+  };
+}
 
-      // 選択中のアイテムがあれば再検索
-      if (selectedItem) {
-        loadMarketData();
-      }
-    });
+// Webhook URL にはトークンが含まれるため、API レスポンスではオリジンのみ返す
+function publicAlertRule(rule, state) {
+  return {
+    ...rule,
+    state,
+    webhookUrl: rule.webhookUrl ? `${new URL(rule.webhookUrl).origin}/…` : null,
+  };
+}
 
-    // ワールド選択時に再検索
-    worldSelect.addEventListener('change', () => {
-      if (selectedItem) {
-        loadMarketData();
+function listAlertRules(kv) {
+  return listStoredRecords(kv, ALERT_KEY_PREFIX);
+}
+
+// 以前の形式（ルールに state を含めて保存）のルールは、その状態を引き継ぐ
+async function loadAlertState(kv, rule) {
+  return (await kv.get(ALERT_STATE_KEY_PREFIX + rule.id, 'json')) || rule.state || INITIAL_ALERT_STATE;
+}
+
+// KV の prefix 配下に保存したレコードを作成日時順にすべて読み込む
+async function listStoredRecords(kv, prefix) {
+  const keys = await listStoredKeys(kv, prefix);
+  const records = await Promise.all(keys.map(key => kv.get(key, 'json')));
+  return records.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// 定期評価の結果（状態）を stateKey に保存する
+// 評価中にレコードが削除・更新された場合は古い評価結果を残さないよう保存せず、false を返す（次回の評価で改めて記録する）
+async function saveRecordState(kv, recordKey, stateKey, record, state) {
+  const current = await kv.get(recordKey, 'json');
+  if (!current || current.updatedAt !== record.updatedAt) return false;
+  await kv.put(stateKey, JSON.stringify(state));
+  return true;
+}
+
+// KV の prefix 配下のキーをすべて列挙する（キー名の昇順）
+async function listStoredKeys(kv, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    keys.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// 定期ジョブ1回の処理件数を抑えるため、prefix 配下のレコードを前回の続きから最大 limit 件だけ読み込む
+// 最後に処理したキーを cursor:<job> に保存し、末尾まで進んだら先頭に戻る
+async function loadScheduledSlice(kv, prefix, job, limit) {
+  const keys = await listStoredKeys(kv, prefix);
+  if (keys.length <= limit) {
+    const records = await Promise.all(keys.map(key => kv.get(key, 'json')));
+    return { records: records.filter(Boolean), total: keys.length, skipped: 0 };
+  }
+  const cursorKey = `cursor:${job}`;
+  const last = await kv.get(cursorKey);
+  const start = last ? Math.max(keys.findIndex(key => key > last), 0) : 0;
+  const slice = [...keys.slice(start), ...keys.slice(0, start)].slice(0, limit);
+  await kv.put(cursorKey, slice[slice.length - 1]);
+  const records = await Promise.all(slice.map(key => kv.get(key, 'json')));
+  return { records: records.filter(Boolean), total: keys.length, skipped: keys.length - slice.length };
+}
+
+// Cron Trigger から呼ばれ、有効なルールを順に評価する
+// 条件を満たさない状態から満たす状態に変わったときだけ通知し、前回通知から
+// cooldownMinutes 以内の再発火は通知しない。KV への書き込みは状態が変わったときのみ行う
+async function evaluateAlerts(env, ctx, config) {
+  const kv = env && env.MARKET_KV;
+  if (!kv) {
+    console.log('[Alert] MARKET_KV が設定されていないため評価をスキップします');
+    return;
+  }
+
+  const slice = await loadScheduledSlice(kv, ALERT_KEY_PREFIX, 'alerts', ALERTS_PER_RUN);
+  if (slice.skipped > 0) {
+    console.log(`[Alert] ルール数が上限を超えたため ${slice.total}件中 ${slice.skipped}件の評価を次回以降に回します`);
+  }
+  const rules = slice.records.filter(rule => rule.enabled);
+  if (rules.length === 0) return;
+  const { data: topology } = await getWorldTopology(config, ctx);
+
+  let triggered = 0;
+  let notified = 0;
+  // 上流への負荷を抑えるため順番に評価する（同じアイテム・ワールドはキャッシュ層で共有される）
+  for (const rule of rules) {
+    try {
+      const scope = resolveScope(topology, rule.world);
+      if (!scope) {
+        console.error(`[Alert] ワールドを解決できません: id=${rule.id}, world="${rule.world}"`);
+        continue;
+      }
+      const { value, stale } = await measureAlertValue(config, ctx, scope, rule);
+      // 上流障害で古いデータしかない場合は判定しない
+      if (stale) {
+        console.log(`[Alert] 保存済みデータのため評価を保留: id=${rule.id}`);
+        continue;
       }
-    });
 
-    // HQ絞り込み変更時に再検索
-    hqOnly.addEventListener('change', () => {
-      if (selectedItem) {
-        loadMarketData();
+      const { threshold } = rule.condition;
+      const active = value !== null
+        && (rule.condition.type === 'cheapest_below' ? value < threshold : value > threshold);
+      const state = { ...(await loadAlertState(kv, rule)) };
+      const now = Date.now();
+
+      let shouldNotify = false;
+      if (active) {
+        triggered++;
+        const cooldownEnds = (state.lastNotifiedAt || 0) + rule.cooldownMinutes * 60000;
+        shouldNotify = !state.active && now >= cooldownEnds;
+      }
+      if (shouldNotify) {
+        // 送信に失敗した場合は状態を更新せず、次回の評価で再送する
+        await postWebhook(rule.webhookUrl || config.alertWebhookUrl, formatAlertMessage(rule, value));
+        state.lastNotifiedAt = now;
+        notified++;
+      }
+      if (active !== Boolean(state.active) || shouldNotify) {
+        state.active = active;
+        state.lastValue = value;
+        state.changedAt = now;
+        if (!await saveRecordState(kv, ALERT_KEY_PREFIX + rule.id, ALERT_STATE_KEY_PREFIX + rule.id, rule, state)) {
+          console.log(`[Alert] 評価中にルールが更新・削除されたため状態を保存しません: id=${rule.id}`);
+        }
       }
+    } catch (error) {
+      console.error(`[Alert] 評価エラー: id=${rule.id}, itemId=${rule.itemId}, error=${error.message}`);
+    }
+  }
+
+  console.log(`[Alert] 評価完了: ${rules.length}件中 条件成立${triggered}件, 通知${notified}件`);
+}
+
+// ルールの条件に対応する現在値（最安値 または 直近 STATS_WINDOW の販売速度）を求める
+async function measureAlertValue(config, ctx, scope, rule) {
+  const history = await getRegionHistory(config, ctx, scope.region.name, rule.itemId);
+  const worldNames = new Set(scopeWorldNames(scope));
+  if (rule.condition.type === 'cheapest_below') {
+    // 釣り出品（捨て値）で通知しないよう、外れ値の出品は除いて最安値を求める
+    const detectOutlier = createMarketOutlierDetector(history.data);
+    const prices = (history.data.listings || [])
+      .filter(l => worldNames.has(l.worldName) && (!rule.hq || l.hq) && !detectOutlier(l))
+      .map(l => l.pricePerUnit);
+    return { value: prices.length > 0 ? Math.min(...prices) : null, stale: history.stale };
+  }
+
+  const since = Math.floor(Date.now() / 1000) - STATS_WINDOW;
+  const entries = (history.data.recentHistory || [])
+    .filter(h => h.timestamp >= since && worldNames.has(h.worldName) && (!rule.hq || h.hq));
+  return { value: summarizeSales(entries, STATS_WINDOW).velocity, stale: history.stale };
+}
+
+function formatAlertMessage(rule, value) {
+  const target = `${rule.itemName}${rule.hq ? ' (HQ)' : ''} @ ${rule.world}`;
+  const { threshold } = rule.condition;
+  const detail = rule.condition.type === 'cheapest_below'
+    ? `最安値 ${value.toLocaleString()} ギル（閾値 ${threshold.toLocaleString()} ギル未満）`
+    : `販売速度 ${value.toLocaleString()} 個/日（閾値 ${threshold.toLocaleString()} 個/日超）`;
+  return `【価格アラート】${target}\n${detail}`;
+}
+
+// Discord は content、Slack（および互換サービス）は text を本文として扱う
+function buildWebhookPayload(webhookUrl, message) {
+  const host = new URL(webhookUrl).hostname;
+  if (host === 'discord.com' || host === 'discordapp.com' || host.endsWith('.discord.com')) {
+    return { content: message };
+  }
+  return { text: message };
+}
+
+// Webhook は冪等でないためリトライしない（失敗時は次回の評価で再送される）
+async function postWebhook(webhookUrl, message) {
+  const host = new URL(webhookUrl).hostname;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FFXIV-Market-Search/1.0',
+      },
+      body: JSON.stringify(buildWebhookPayload(webhookUrl, message)),
+      signal: controller.signal,
     });
+    // URL にはトークンが含まれるため、ログにはホスト名のみ残す
+    console.log(`[Webhook] 送信: host=${host}, status=${response.status}`);
+    if (!response.ok) {
+      throw new Error(`Webhook error: ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    // 検索入力のデバウンス
-    searchInput.addEventListener('input', () => {
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(() => {
-        const query = searchInput.value.trim();
-        if (query.length >= 2) {
-          searchItems(query);
-        } else {
-          itemList.innerHTML = '<div class="empty-state">2文字以上入力してください</div>';
-          searchResults = [];
+async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function methodNotAllowed(allow) {
+  const response = jsonResponse({ error: 'method_not_allowed', message: `このエンドポイントで使用できるメソッドは ${allow} です` }, 405);
+  response.headers.set('Allow', allow);
+  return response;
+}
+
+function isHttpsUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// KV に保存する API（アラート・リテイナー監視・スキャン）の共通チェック。問題がある場合は { response } を返す
+// 第三者に Webhook の送信先を登録されないよう、ALERT_API_TOKEN が未設定の場合は API 自体を無効にする
+function authorizeStoredApi(request, env, config, feature) {
+  const kv = env && env.MARKET_KV;
+  if (!kv) {
+    return { response: jsonResponse({ error: 'storage_unavailable', message: `${feature}用の KV（MARKET_KV）が設定されていません` }, 503) };
+  }
+  if (!config.alertApiToken) {
+    return { response: jsonResponse({ error: 'auth_not_configured', message: `${feature}の API を使うには ALERT_API_TOKEN を設定してください` }, 503) };
+  }
+  if (!timingSafeEqual(request.headers.get('Authorization') || '', `Bearer ${config.alertApiToken}`)) {
+    return { response: jsonResponse({ error: 'unauthorized', message: 'Authorization ヘッダーに正しいトークンを指定してください' }, 401) };
+  }
+  return { kv };
+}
+
+// 一致しない位置によって処理時間が変わらないよう、すべてのバイトを比較する
+function timingSafeEqual(a, b) {
+  const x = new TextEncoder().encode(a);
+  const y = new TextEncoder().encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x[i] || 0) ^ (y[i] || 0);
+  }
+  return diff === 0;
+}
+
+// ===== リテイナーの出品監視 =====
+// 監視対象（ワールドごとのリテイナー名とアイテムID）は KV（MARKET_KV）に retainer:<id> として保存する
+// 出品ごとの「値下げされた時刻」は Cron Trigger（evaluateRetainerWatches）の評価で retainerstate:<id> に記録する
+// （監視本体と分けて保存し、評価中の API による更新・削除を上書きしない。レポート取得時は読み取りのみ）
+const RETAINER_KEY_PREFIX = 'retainer:';
+const RETAINER_STATE_KEY_PREFIX = 'retainerstate:';
+const MAX_RETAINER_WATCHES = 50;   // 登録できる監視の上限（評価時の上流呼び出し数を抑える）
+const RETAINER_WATCHES_PER_RUN = 10; // 定期評価1回で評価する監視数の上限（残りは次回以降に順番に評価する）
+const MAX_WATCH_RETAINERS = 20;    // 1件の監視に登録できるリテイナー数の上限
+const MAX_WATCH_ITEMS = 100;       // 1件の監視に登録できるアイテム数の上限（Universalis の一括取得1回分）
+const MAX_NOTIFY_LINES = 10;       // 1回の通知に含める出品の上限
+
+// 認証は価格アラートと共通（authorizeStoredApi）
+async function handleRetainers(request, env, ctx, config, watchId, report) {
+  const access = authorizeStoredApi(request, env, config, 'リテイナー監視');
+  if (access.response) return access.response;
+  const { kv } = access;
+
+  try {
+    if (!watchId) {
+      if (request.method === 'GET') {
+        const watches = await listStoredRecords(kv, RETAINER_KEY_PREFIX);
+        return jsonResponse({ total: watches.length, watches: watches.map(publicRetainerWatch) }, 200);
+      }
+      if (request.method === 'POST') {
+        const input = await readJsonBody(request);
+        if (!input) {
+          return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
         }
-      }, 300);
+        const existing = await listStoredRecords(kv, RETAINER_KEY_PREFIX);
+        if (existing.length >= MAX_RETAINER_WATCHES) {
+          return jsonResponse({ error: 'too_many_watches', message: `リテイナー監視は最大${MAX_RETAINER_WATCHES}件まで登録できます` }, 409);
+        }
+        const result = await buildRetainerWatch(config, ctx, input, { id: crypto.randomUUID(), createdAt: Date.now() });
+        if (result.response) return result.response;
+        await kv.put(RETAINER_KEY_PREFIX + result.watch.id, JSON.stringify(result.watch));
+        console.log(`[Retainer] 監視作成: id=${result.watch.id}, リテイナー${result.watch.retainers.length}件, アイテム${result.watch.itemIds.length}件`);
+        return jsonResponse(publicRetainerWatch(result.watch), 201);
+      }
+      return methodNotAllowed('GET, POST');
+    }
+
+    const watch = await kv.get(RETAINER_KEY_PREFIX + watchId, 'json');
+    if (!watch) {
+      return jsonResponse({ error: 'watch_not_found', message: `リテイナー監視 ${watchId} が見つかりませんでした` }, 404);
+    }
+
+    if (report) {
+      if (request.method !== 'GET') {
+        return methodNotAllowed('GET');
+      }
+      const { report: result } = await evaluateRetainerWatch(config, ctx, watch, await loadRetainerState(kv, watch));
+      return jsonResponse(result, 200);
+    }
+
+    if (request.method === 'GET') {
+      return jsonResponse(publicRetainerWatch(watch), 200);
+    }
+    if (request.method === 'PUT') {
+      const input = await readJsonBody(request);
+      if (!input) {
+        return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+      }
+      // 指定された項目だけを上書きする（監視対象外になった出品の記録は次回の評価で消える）
+      const result = await buildRetainerWatch(config, ctx, { ...watch, ...input }, watch);
+      if (result.response) return result.response;
+      await kv.put(RETAINER_KEY_PREFIX + watch.id, JSON.stringify(result.watch));
+      console.log(`[Retainer] 監視更新: id=${watch.id}`);
+      return jsonResponse(publicRetainerWatch(result.watch), 200);
+    }
+    if (request.method === 'DELETE') {
+      await kv.delete(RETAINER_KEY_PREFIX + watch.id);
+      await kv.delete(RETAINER_STATE_KEY_PREFIX + watch.id);
+      console.log(`[Retainer] 監視削除: id=${watch.id}`);
+      return jsonResponse({ id: watch.id, deleted: true }, 200);
+    }
+    return methodNotAllowed('GET, PUT, DELETE');
+
+  } catch (error) {
+    console.error(`[Retainer] APIエラー: method=${request.method}, id=${watchId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+// 入力を検証して保存用の監視を組み立てる。エラー時は { response } を返す
+async function buildRetainerWatch(config, ctx, input, base) {
+  const invalid = message => ({ response: jsonResponse({ error: 'invalid_parameter', message }, 400) });
+
+  const label = input.label === undefined ? '' : input.label;
+  if (typeof label !== 'string' || label.length > 50) {
+    return invalid('label は50文字以内の文字列で指定してください');
+  }
+
+  const retainers = input.retainers;
+  if (!Array.isArray(retainers) || retainers.length === 0 || retainers.length > MAX_WATCH_RETAINERS) {
+    return invalid(`retainers は1〜${MAX_WATCH_RETAINERS}件の配列で指定してください`);
+  }
+  if (!retainers.every(r => r && typeof r.name === 'string' && r.name.trim() !== '' && typeof r.world === 'string' && r.world.trim() !== '')) {
+    return invalid('retainers の各要素は { name, world } の形式で指定してください');
+  }
+
+  const itemIds = input.itemIds;
+  if (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(id => Number.isInteger(id) && id > 0)) {
+    return invalid('itemIds は正の整数の配列で指定してください');
+  }
+  const uniqueItemIds = [...new Set(itemIds)];
+  if (uniqueItemIds.length > MAX_WATCH_ITEMS) {
+    return invalid(`itemIds は最大${MAX_WATCH_ITEMS}件まで指定できます`);
+  }
+
+  const notify = input.notify === undefined ? false : input.notify;
+  if (typeof notify !== 'boolean') {
+    return invalid('notify は true / false で指定してください');
+  }
+  const webhookUrl = input.webhookUrl ?? null;
+  if (webhookUrl !== null && !isHttpsUrl(webhookUrl)) {
+    return invalid('webhookUrl は https:// で始まるURLを指定してください');
+  }
+  if (notify && !webhookUrl && !config.alertWebhookUrl) {
+    return invalid('通知するには webhookUrl を指定するか、ALERT_WEBHOOK_URL を設定してください');
+  }
+
+  // 出品はワールド単位のため、ワールド名は正規の表記に揃えて DC / リージョンは受け付けない
+  const { data: topology } = await getWorldTopology(config, ctx);
+  const normalized = new Map();
+  for (const retainer of retainers) {
+    const scope = resolveScope(topology, retainer.world.trim());
+    if (!scope) {
+      return { response: jsonResponse({ error: 'unknown_world', message: `ワールド "${retainer.world}" が見つかりませんでした` }, 400) };
+    }
+    if (scope.type !== 'world') {
+      return invalid(`retainers の world には DC / リージョンではなくワールド名を指定してください（"${retainer.world}"）`);
+    }
+    const name = retainer.name.trim();
+    normalized.set(`${scope.name}:${name.toLowerCase()}`, { name, world: scope.name });
+  }
+
+  return {
+    watch: {
+      id: base.id,
+      label,
+      retainers: [...normalized.values()],
+      itemIds: uniqueItemIds,
+      notify,
+      webhookUrl,
+      createdAt: base.createdAt,
+      updatedAt: Date.now(),
+    },
+  };
+}
+
+// 以前の形式（監視に state を含めて保存）の監視は、その状態を引き継ぐ
+async function loadRetainerState(kv, watch) {
+  return (await kv.get(RETAINER_STATE_KEY_PREFIX + watch.id, 'json')) || watch.state || { undercut: {} };
+}
+
+function publicRetainerWatch(watch) {
+  const { state, ...rest } = watch;
+  return {
+    ...rest,
+    webhookUrl: watch.webhookUrl ? `${new URL(watch.webhookUrl).origin}/…` : null,
+  };
+}
+
+// 監視対象のリテイナーの出品ごとに、同じ品質の出品の中での順位と他の出品者の最安値との差を求める
+// 値下げされている出品は、前回の評価（previousState）から続いていれば記録済みの時刻を引き継ぐ
+async function evaluateRetainerWatch(config, ctx, watch, previousState) {
+  const worlds = [...new Set(watch.retainers.map(r => r.world))];
+  const [{ data: items }, markets] = await Promise.all([
+    getItems(config, ctx, watch.itemIds),
+    Promise.all(worlds.map(world => getWorldListingsWithSales(config, ctx, world, watch.itemIds))),
+  ]);
+  const itemNames = new Map(items.map(item => [item.id, item.name]));
+  const previous = previousState.undercut || {};
+  const undercut = {};
+  const listings = [];
+  const now = Date.now();
+
+  worlds.forEach((world, index) => {
+    const ownNames = new Set(watch.retainers.filter(r => r.world === world).map(r => r.name.toLowerCase()));
+    const isOwn = listing => ownNames.has(String(listing.retainerName || '').toLowerCase());
+
+    const { listingsByItem, salesByItem } = markets[index];
+    listingsByItem.forEach((itemListings, itemId) => {
+      // 1ギルなどの釣り出品で値下げ通知が出ないよう、直近の取引を基準に外れ値となる他者の出品は比較から除く
+      const detectOutlier = createOutlierDetector(salesByItem.get(itemId) || [], itemListings);
+      itemListings.filter(isOwn).forEach(listing => {
+        const sameQuality = itemListings.filter(l => l.hq === listing.hq && (isOwn(l) || !detectOutlier(l)));
+        const competitorPrices = sameQuality.filter(l => !isOwn(l)).map(l => l.pricePerUnit);
+        const cheapestCompetitor = competitorPrices.length > 0 ? Math.min(...competitorPrices) : null;
+        const isUndercut = cheapestCompetitor !== null && cheapestCompetitor < listing.pricePerUnit;
+        const key = listing.listingID
+          || `${world}:${itemId}:${listing.retainerName}:${listing.hq}:${listing.pricePerUnit}:${listing.quantity}`;
+        if (isUndercut) {
+          undercut[key] = previous[key] || { since: now, notifiedAt: null };
+        }
+
+        listings.push({
+          key,
+          itemId,
+          itemName: itemNames.get(itemId) || null,
+          world,
+          retainerName: listing.retainerName,
+          hq: listing.hq,
+          price: listing.pricePerUnit,
+          quantity: listing.quantity,
+          rank: sameQuality.filter(l => l.pricePerUnit < listing.pricePerUnit).length + 1,
+          listings: sameQuality.length,
+          cheapestCompetitor,
+          gap: cheapestCompetitor === null ? null : listing.pricePerUnit - cheapestCompetitor,
+          undercut: isUndercut,
+          undercutSince: isUndercut ? undercut[key].since : null,
+          undercutMinutes: isUndercut ? Math.floor((now - undercut[key].since) / 60000) : null,
+          lastReviewTime: listing.lastReviewTime,
+        });
+      });
     });
+  });
 
-    // アイテム検索
-    async function searchItems(query) {
-      itemList.innerHTML = '<div class="loading">検索中...</div>';
-      console.log('[Frontend] アイテム検索開始:', query);
+  // 値下げされている出品を、値下げされてからの時間が長い順に先頭へ
+  listings.sort((a, b) => (b.undercut - a.undercut) || ((b.undercutMinutes ?? 0) - (a.undercutMinutes ?? 0)) || (a.itemId - b.itemId));
+  const allMarkets = markets.flatMap(m => m.markets);
+  const allHistories = markets.flatMap(m => m.histories);
+  const listedRetainers = new Set(listings.map(l => `${l.world}:${String(l.retainerName).toLowerCase()}`));
+
+  return {
+    report: {
+      id: watch.id,
+      label: watch.label,
+      total: listings.length,
+      undercutCount: listings.filter(l => l.undercut).length,
+      listings,
+      // 監視対象のアイテムを1件も出品していないリテイナー（名前の誤りの確認用）
+      idleRetainers: watch.retainers.filter(r => !listedRetainers.has(`${r.world}:${r.name.toLowerCase()}`)),
+      fetchedAt: Math.min(...allMarkets.map(m => m.fetchedAt)),
+      stale: allMarkets.some(m => m.stale) || allHistories.some(h => h.stale),
+    },
+    state: { undercut },
+  };
+}
+
+// Cron Trigger から呼ばれ、すべての監視の値下げ状況を記録する
+// notify が有効な監視は、新たに値下げされた出品をまとめて1回通知する
+async function evaluateRetainerWatches(env, ctx, config) {
+  const kv = env && env.MARKET_KV;
+  if (!kv) {
+    console.log('[Retainer] MARKET_KV が設定されていないため評価をスキップします');
+    return;
+  }
+
+  const slice = await loadScheduledSlice(kv, RETAINER_KEY_PREFIX, 'retainers', RETAINER_WATCHES_PER_RUN);
+  if (slice.skipped > 0) {
+    console.log(`[Retainer] 監視数が上限を超えたため ${slice.total}件中 ${slice.skipped}件の評価を次回以降に回します`);
+  }
+  const watches = slice.records;
+  let notified = 0;
+  // 上流への負荷を抑えるため順番に評価する
+  for (const watch of watches) {
+    try {
+      const previousState = await loadRetainerState(kv, watch);
+      const { report, state } = await evaluateRetainerWatch(config, ctx, watch, previousState);
+      // 上流障害で古いデータしかない場合は記録も通知もしない
+      if (report.stale) {
+        console.log(`[Retainer] 保存済みデータのため評価を保留: id=${watch.id}`);
+        continue;
+      }
+
+      const fresh = report.listings.filter(l => l.undercut && !state.undercut[l.key].notifiedAt);
+      if (watch.notify && fresh.length > 0) {
+        // 送信に失敗した場合は通知済みにせず、次回の評価で再送する
+        await postWebhook(watch.webhookUrl || config.alertWebhookUrl, formatRetainerMessage(watch, fresh));
+        const now = Date.now();
+        fresh.forEach(l => { state.undercut[l.key] = { ...state.undercut[l.key], notifiedAt: now }; });
+        notified++;
+      }
+      if (JSON.stringify(state) !== JSON.stringify(previousState)
+          && !await saveRecordState(kv, RETAINER_KEY_PREFIX + watch.id, RETAINER_STATE_KEY_PREFIX + watch.id, watch, state)) {
+        console.log(`[Retainer] 評価中に監視が更新・削除されたため状態を保存しません: id=${watch.id}`);
+      }
+    } catch (error) {
+      console.error(`[Retainer] 評価エラー: id=${watch.id}, error=${error.message}`);
+    }
+  }
+
+  console.log(`[Retainer] 評価完了: ${watches.length}件中 通知${notified}件`);
+}
+
+// ワールドの出品と、外れ値判定の基準にする直近 OUTLIER_WINDOW の取引履歴（出品できるアイテムのみ）
+async function getWorldListingsWithSales(config, ctx, world, itemIds) {
+  const { listingsByItem, markets } = await getListingsByItem(config, ctx, world, itemIds);
+  const { salesByItem, histories } = await getSalesByItem(config, ctx, world, itemIds.filter(id => listingsByItem.has(id)), OUTLIER_WINDOW);
+  return { listingsByItem, markets, salesByItem, histories };
+}
+
+function formatRetainerMessage(watch, listings) {
+  const lines = listings.slice(0, MAX_NOTIFY_LINES).map(l =>
+    `${l.itemName || l.itemId}${l.hq ? ' (HQ)' : ''} @ ${l.world} ${l.retainerName}: ${l.price.toLocaleString()} ギル → 最安 ${l.cheapestCompetitor.toLocaleString()} ギル（${l.rank}位）`);
+  if (listings.length > MAX_NOTIFY_LINES) {
+    lines.push(`ほか${listings.length - MAX_NOTIFY_LINES}件`);
+  }
+  return `【値下げ通知】${watch.label || 'リテイナー'}\n${lines.join('\n')}`;
+}
+
+// ===== 取引履歴アーカイブ =====
+// Universalis の取引履歴は約90日で消えるため、TRACKED_ITEM_IDS のアイテムについて
+// デフォルトワールドのリージョンの日次集計（ワールド・HQ/NQ別）を D1（HISTORY_DB）に保存する
+const ARCHIVE_SCHEMA = `CREATE TABLE IF NOT EXISTS daily_aggregates (
+  item_id INTEGER NOT NULL,
+  region TEXT NOT NULL,
+  day INTEGER NOT NULL,
+  sales INTEGER NOT NULL,
+  worlds TEXT NOT NULL,
+  PRIMARY KEY (item_id, region, day)
+)`;
+// day: UTC日の開始時刻（UNIX秒）、sales: 全ワールド合計の取引件数、
+// worlds: [{ world, hq, avg, median, min, max, volume, sales }] の JSON
+const ARCHIVE_UPSERT = `INSERT INTO daily_aggregates (item_id, region, day, sales, worlds) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (item_id, region, day) DO UPDATE SET sales = excluded.sales, worlds = excluded.worlds`;
+
+// テーブル作成は isolate ごとに1回だけ行う
+const archiveSchemaReady = new WeakMap();
+
+function ensureArchiveSchema(db) {
+  if (!archiveSchemaReady.has(db)) {
+    const promise = db.prepare(ARCHIVE_SCHEMA).run();
+    promise.catch(() => archiveSchemaReady.delete(db));
+    archiveSchemaReady.set(db, promise);
+  }
+  return archiveSchemaReady.get(db);
+}
+
+// Cron Trigger から1日1回呼ばれ、前日までの完了した日を保存する
+async function archiveDailyAggregates(env, ctx, config) {
+  const db = env && env.HISTORY_DB;
+  if (!db) {
+    console.log('[Archive] HISTORY_DB が設定されていないため保存をスキップします');
+    return;
+  }
+  if (config.trackedItemIds.length === 0) {
+    console.log('[Archive] TRACKED_ITEM_IDS が設定されていないため保存をスキップします');
+    return;
+  }
+  await ensureArchiveSchema(db);
+
+  const { data: topology } = await getWorldTopology(config, ctx);
+  verifyDefaultWorld(config, topology);
+  const scope = resolveScope(topology, config.defaultWorld);
+  const region = scope.region.name;
+  const today = startOfUtcDay(Math.floor(Date.now() / 1000));
+
+  let written = 0;
+  for (const itemId of config.trackedItemIds) {
+    try {
+      const history = await getRegionHistory(config, ctx, region, itemId);
+      if (history.stale) {
+        console.log(`[Archive] 保存済みデータのため保存を保留: itemId=${itemId}`);
+        continue;
+      }
+      const recent = history.data.recentHistory || [];
+      const days = summarizeArchiveDays(recent, today);
+      // 取得件数の上限に達している場合、最古の日は途中までしか含まれないため保存しない
+      if (recent.length >= REGION_HISTORY_ENTRIES && days.size > 0) {
+        days.delete(Math.min(...days.keys()));
+      }
+      if (days.size === 0) continue;
+
+      // 古い取引が Universalis 側で消えて件数が減った日は、保存済みの集計を残す
+      const { results } = await db
+        .prepare('SELECT day, sales FROM daily_aggregates WHERE item_id = ? AND region = ? AND day >= ?')
+        .bind(itemId, region, Math.min(...days.keys()))
+        .all();
+      const saved = new Map(results.map(row => [row.day, row.sales]));
+      const statements = [...days.entries()]
+        .filter(([day, summary]) => summary.sales > (saved.get(day) || 0))
+        .map(([day, summary]) => db.prepare(ARCHIVE_UPSERT).bind(itemId, region, day, summary.sales, JSON.stringify(summary.worlds)));
+      if (statements.length > 0) {
+        await db.batch(statements);
+      }
+      written += statements.length;
+    } catch (error) {
+      console.error(`[Archive] 保存エラー: itemId=${itemId}, error=${error.message}`);
+    }
+  }
+
+  console.log(`[Archive] 保存完了: region=${region}, ${config.trackedItemIds.length}アイテム, ${written}日分を更新`);
+}
+
+// before（UTC日の開始時刻）より前の取引履歴を、日 → ワールド・HQ/NQ別の集計にまとめる
+function summarizeArchiveDays(entries, before) {
+  const groups = new Map();
+  // 外れ値の取引は取得した期間全体の分布を基準に除いてから保存する
+  const detectOutlier = createOutlierDetector(entries);
+  entries.filter(h => h.timestamp < before && !detectOutlier(h)).forEach(h => {
+    const key = `${h.worldName}:${h.hq}`;
+    if (!groups.has(key)) {
+      groups.set(key, { world: h.worldName, hq: Boolean(h.hq), entries: [] });
+    }
+    groups.get(key).entries.push(h);
+  });
+
+  const days = new Map();
+  groups.forEach(({ world, hq, entries: groupEntries }) => {
+    aggregateHistory(groupEntries, 'day', 0).forEach(({ start, ...summary }) => {
+      if (!days.has(start)) {
+        days.set(start, { sales: 0, worlds: [] });
+      }
+      const day = days.get(start);
+      day.sales += summary.sales;
+      day.worlds.push({ world, hq, ...summary });
+    });
+  });
+  return days;
+}
+
+// [since, until) に含まれる日のアーカイブを、ワールド・HQ/NQ別の行に展開して返す
+async function readArchive(db, itemId, region, since, until) {
+  await ensureArchiveSchema(db);
+  const { results } = await db
+    .prepare('SELECT day, worlds FROM daily_aggregates WHERE item_id = ? AND region = ? AND day >= ? AND day < ? ORDER BY day')
+    .bind(itemId, region, startOfUtcDay(since), until)
+    .all();
+  return results.flatMap(row => JSON.parse(row.worlds).map(summary => ({ day: row.day, ...summary })));
+}
+
+function startOfUtcDay(seconds) {
+  return Math.floor(seconds / 86400) * 86400;
+}
+
+// ===== カテゴリスキャナー =====
+// ItemUICategory または保存したアイテムIDの一覧（スキャン）を KV（MARKET_KV）に scan:<id> として保存し、
+// Cron Trigger（runScans）で出品可能なアイテムの相場をまとめて取得して scanresult:<id> に結果を保存する
+// ダッシュボードは保存済みの結果を返すため、上流の呼び出しを待たずに表示できる
+const SCAN_KEY_PREFIX = 'scan:';
+const SCAN_RESULT_KEY_PREFIX = 'scanresult:';
+const MAX_SCANS = 20;           // 登録できるスキャンの上限（定期実行時の上流呼び出し数を抑える）
+const SCANS_PER_RUN = 4;        // 定期実行1回で実行するスキャン数の上限（残りは次回以降に順番に実行する）
+const MAX_SCAN_ITEMS = 500;     // 1件のスキャンで評価するアイテム数の上限（Universalis の一括取得5回分）
+
+// 結果の並び替え（sort パラメータで指定可能な値）。値のないアイテムは末尾
+const SCAN_SORTS = {
+  daily_gil: r => r.dailyGil,                  // 1日あたりの取引額
+  price_velocity: r => r.priceVelocity,        // 取引価格の中央値 × 販売速度
+  scarcity: r => r.daysOfSupply === null ? null : -r.daysOfSupply, // 出品数量が販売速度に対して少ない順
+  wow_change: r => r.weekOverWeek,             // 前週比の値上がり率
+};
+
+// 認証は価格アラートと共通（authorizeStoredApi）
+async function handleScans(request, env, ctx, config, scanId, results) {
+  const access = authorizeStoredApi(request, env, config, 'スキャン');
+  if (access.response) return access.response;
+  const { kv } = access;
+
+  try {
+    if (!scanId) {
+      if (request.method === 'GET') {
+        const scans = await listStoredRecords(kv, SCAN_KEY_PREFIX);
+        return jsonResponse({ total: scans.length, scans }, 200);
+      }
+      if (request.method === 'POST') {
+        const input = await readJsonBody(request);
+        if (!input) {
+          return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+        }
+        const existing = await listStoredRecords(kv, SCAN_KEY_PREFIX);
+        if (existing.length >= MAX_SCANS) {
+          return jsonResponse({ error: 'too_many_scans', message: `スキャンは最大${MAX_SCANS}件まで登録できます` }, 409);
+        }
+        const result = await buildScan(config, ctx, input, { id: crypto.randomUUID(), createdAt: Date.now() });
+        if (result.response) return result.response;
+        await kv.put(SCAN_KEY_PREFIX + result.scan.id, JSON.stringify(result.scan));
+        console.log(`[Scanner] スキャン作成: id=${result.scan.id}, category=${result.scan.categoryId}, items=${result.scan.itemIds ? result.scan.itemIds.length : '-'}`);
+        return jsonResponse(result.scan, 201);
+      }
+      return methodNotAllowed('GET, POST');
+    }
+
+    const scan = await kv.get(SCAN_KEY_PREFIX + scanId, 'json');
+    if (!scan) {
+      return jsonResponse({ error: 'scan_not_found', message: `スキャン ${scanId} が見つかりませんでした` }, 404);
+    }
+
+    if (results) {
+      // GET は保存済みの結果（まだない場合はその場で実行して保存）、POST はその場で再実行する
+      if (request.method !== 'GET' && request.method !== 'POST') {
+        return methodNotAllowed('GET, POST');
+      }
+      const params = new URL(request.url).searchParams;
+      const sort = params.get('sort') || 'daily_gil';
+      if (!SCAN_SORTS[sort]) {
+        return jsonResponse({ error: 'invalid_parameter', message: `sort は ${Object.keys(SCAN_SORTS).join(' / ')} のいずれかを指定してください` }, 400);
+      }
+      let result = request.method === 'GET' ? await kv.get(SCAN_RESULT_KEY_PREFIX + scan.id, 'json') : null;
+      if (!result) {
+        result = await runScan(config, ctx, scan);
+        await kv.put(SCAN_RESULT_KEY_PREFIX + scan.id, JSON.stringify(result));
+      }
+      const key = SCAN_SORTS[sort];
+      const items = result.items.slice().sort((a, b) => (key(a) === null) - (key(b) === null) || (key(b) || 0) - (key(a) || 0));
+      return jsonResponse({ ...result, label: scan.label, sort, items }, 200);
+    }
+
+    if (request.method === 'GET') {
+      return jsonResponse(scan, 200);
+    }
+    if (request.method === 'PUT') {
+      const input = await readJsonBody(request);
+      if (!input) {
+        return jsonResponse({ error: 'invalid_json', message: 'リクエスト本文は JSON オブジェクトで指定してください' }, 400);
+      }
+      // 指定された項目だけを上書きする（対象を切り替える場合は categoryId / itemIds の一方を null にする）
+      const result = await buildScan(config, ctx, { ...scan, ...input }, scan);
+      if (result.response) return result.response;
+      await kv.put(SCAN_KEY_PREFIX + scan.id, JSON.stringify(result.scan));
+      // 対象が変わった可能性があるため、保存済みの結果は次回の取得時に作り直す
+      await kv.delete(SCAN_RESULT_KEY_PREFIX + scan.id);
+      console.log(`[Scanner] スキャン更新: id=${scan.id}`);
+      return jsonResponse(result.scan, 200);
+    }
+    if (request.method === 'DELETE') {
+      await Promise.all([kv.delete(SCAN_KEY_PREFIX + scan.id), kv.delete(SCAN_RESULT_KEY_PREFIX + scan.id)]);
+      console.log(`[Scanner] スキャン削除: id=${scan.id}`);
+      return jsonResponse({ id: scan.id, deleted: true }, 200);
+    }
+    return methodNotAllowed('GET, PUT, DELETE');
+
+  } catch (error) {
+    console.error(`[Scanner] APIエラー: method=${request.method}, id=${scanId}, error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+// 入力を検証して保存用のスキャンを組み立てる。エラー時は { response } を返す
+// 対象は categoryId（ItemUICategory の行ID）か itemIds のどちらか一方で指定する
+async function buildScan(config, ctx, input, base) {
+  const invalid = message => ({ response: jsonResponse({ error: 'invalid_parameter', message }, 400) });
+
+  const label = input.label === undefined ? '' : input.label;
+  if (typeof label !== 'string' || label.length > 50) {
+    return invalid('label は50文字以内の文字列で指定してください');
+  }
+
+  const categoryId = input.categoryId ?? null;
+  const itemIds = input.itemIds ?? null;
+  if ((categoryId === null) === (itemIds === null)) {
+    return invalid('categoryId と itemIds のどちらか一方を指定してください');
+  }
+  if (categoryId !== null && !(Number.isInteger(categoryId) && categoryId > 0)) {
+    return invalid('categoryId は正の整数で指定してください');
+  }
+  if (itemIds !== null && (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(id => Number.isInteger(id) && id > 0))) {
+    return invalid('itemIds は正の整数の配列で指定してください');
+  }
+  const uniqueItemIds = itemIds === null ? null : [...new Set(itemIds)];
+  if (uniqueItemIds !== null && uniqueItemIds.length > MAX_SCAN_ITEMS) {
+    return invalid(`itemIds は最大${MAX_SCAN_ITEMS}件まで指定できます`);
+  }
+
+  let categoryName = null;
+  if (categoryId !== null) {
+    const { data: categories } = await getItemCategories(config, ctx);
+    const category = categories.find(c => c.id === categoryId);
+    if (!category) {
+      return invalid(`カテゴリ ${categoryId} が見つかりませんでした`);
+    }
+    categoryName = category.name;
+  }
+
+  // 対象範囲はワールド・DC・リージョンのいずれでもよく、正規の表記に揃えて保存する
+  const world = input.world === undefined ? config.defaultWorld : input.world;
+  if (typeof world !== 'string' || world.trim() === '') {
+    return invalid('world はワールド名・DC名・リージョン名で指定してください');
+  }
+  const { data: topology } = await getWorldTopology(config, ctx);
+  if (input.world === undefined) verifyDefaultWorld(config, topology);
+  const scope = resolveScope(topology, world.trim());
+  if (!scope) {
+    return { response: jsonResponse({ error: 'unknown_world', message: `ワールド "${world}" が見つかりませんでした` }, 400) };
+  }
+
+  return {
+    scan: {
+      id: base.id,
+      label,
+      categoryId,
+      categoryName,
+      itemIds: uniqueItemIds,
+      world: scope.name,
+      createdAt: base.createdAt,
+      updatedAt: Date.now(),
+    },
+  };
+}
+
+// スキャン対象のアイテムの出品と直近2週間の取引をまとめて取得し、アイテムごとの指標を求める
+// 取引の中央値は外れ値を除いて計算し、前週比は直近 STATS_WINDOW とその前の同じ期間の中央値を比べる
+async function runScan(config, ctx, scan) {
+  const targets = scan.categoryId !== null
+    ? (await getCategoryItems(config, ctx, scan.categoryId)).data
+    : await getItemNames(config, ctx, scan.itemIds);
+
+  const itemIds = targets.map(item => item.id).slice(0, MAX_SCAN_ITEMS);
+  // 出品できないアイテムは Universalis の結果に含まれないため、取引履歴は出品できるものだけ取得する
+  const { listingsByItem, markets } = await getListingsByItem(config, ctx, scan.world, itemIds);
+  const marketableIds = itemIds.filter(id => listingsByItem.has(id));
+  const { salesByItem, histories } = await getSalesByItem(config, ctx, scan.world, marketableIds, STATS_WINDOW * 2);
+
+  const names = new Map(targets.map(item => [item.id, item.name]));
+  const windowDays = STATS_WINDOW / 86400;
+  const since = Math.floor(Date.now() / 1000) - STATS_WINDOW;
+  const items = marketableIds.map(id => {
+    const listings = listingsByItem.get(id);
+    const sales = salesByItem.get(id) || [];
+    const detectOutlier = createOutlierDetector(sales, listings);
+    const clean = sales.filter(h => !detectOutlier(h));
+    const current = summarizeSales(clean.filter(h => h.timestamp >= since), STATS_WINDOW);
+    const previous = summarizePrices(clean.filter(h => h.timestamp < since));
+    const listedUnits = listings.reduce((sum, l) => sum + l.quantity, 0);
+    const cleanListings = listings.filter(l => !detectOutlier(l));
+    const gil = clean.filter(h => h.timestamp >= since).reduce((sum, h) => sum + h.pricePerUnit * h.quantity, 0);
+    return {
+      itemId: id,
+      itemName: names.get(id) || null,
+      listings: listings.length,
+      listedUnits,
+      cheapest: cleanListings.length > 0 ? Math.min(...cleanListings.map(l => l.pricePerUnit)) : null,
+      median: current.median,
+      sales: current.count,
+      velocity: current.velocity,
+      dailyGil: Math.round(gil / windowDays),
+      priceVelocity: current.median === null ? 0 : Math.round(current.median * current.velocity),
+      // 今の出品数量が何日分の販売量にあたるか（売れていない場合は null）
+      daysOfSupply: current.velocity > 0 ? Math.round((listedUnits / current.velocity) * 10) / 10 : null,
+      previousMedian: previous.median,
+      weekOverWeek: current.median !== null && previous.median
+        ? Math.round(((current.median - previous.median) / previous.median) * 1000) / 1000
+        : null,
+      thinMarket: current.count < THIN_MARKET_MIN_SALES,
+    };
+  });
+
+  console.log(`[Scanner] スキャン完了: id=${scan.id}, world="${scan.world}", 対象${itemIds.length}件中${items.length}件が出品可能`);
+  return {
+    scanId: scan.id,
+    world: scan.world,
+    categoryId: scan.categoryId,
+    categoryName: scan.categoryName,
+    windowDays,
+    taxRate: MARKET_TAX_RATE,
+    targetItems: itemIds.length,
+    total: items.length,
+    items,
+    generatedAt: Date.now(),
+    stale: markets.some(m => m.stale) || histories.some(h => h.stale),
+  };
+}
+
+// 保存したアイテムIDの名前を100件ずつ取得する（存在しないIDは名前なし）
+async function getItemNames(config, ctx, itemIds) {
+  const results = await Promise.all(chunkIds(itemIds).map(ids => getItems(config, ctx, ids)));
+  const names = new Map(results.flatMap(r => r.data.map(item => [item.id, item.name])));
+  return itemIds.map(id => ({ id, name: names.get(id) || null }));
+}
+
+// Cron Trigger から呼ばれ、すべてのスキャンを実行して結果を保存する
+async function runScans(env, ctx, config) {
+  const kv = env && env.MARKET_KV;
+  if (!kv) {
+    console.log('[Scanner] MARKET_KV が設定されていないため実行をスキップします');
+    return;
+  }
+
+  const slice = await loadScheduledSlice(kv, SCAN_KEY_PREFIX, 'scanner', SCANS_PER_RUN);
+  if (slice.skipped > 0) {
+    console.log(`[Scanner] スキャン数が上限を超えたため ${slice.total}件中 ${slice.skipped}件の実行を次回以降に回します`);
+  }
+  const scans = slice.records;
+  let saved = 0;
+  // 上流への負荷を抑えるため順番に実行する
+  for (const scan of scans) {
+    try {
+      const result = await runScan(config, ctx, scan);
+      // 上流障害で古いデータしかない場合は、前回の結果を残す
+      if (result.stale) {
+        console.log(`[Scanner] 保存済みデータのため保存を保留: id=${scan.id}`);
+        continue;
+      }
+      await kv.put(SCAN_RESULT_KEY_PREFIX + scan.id, JSON.stringify(result));
+      saved++;
+    } catch (error) {
+      console.error(`[Scanner] 実行エラー: id=${scan.id}, error=${error.message}`);
+    }
+  }
+
+  console.log(`[Scanner] 実行完了: ${scans.length}件中 保存${saved}件`);
+}
+
+// スキャン対象に指定できるアイテムカテゴリ（ItemUICategory）の一覧
+async function handleItemCategories(config, ctx) {
+  try {
+    const { data: categories, fetchedAt, stale } = await getItemCategories(config, ctx);
+    return jsonResponse({ total: categories.length, categories, fetchedAt, stale }, 200);
+  } catch (error) {
+    console.error(`[Scanner] カテゴリ取得エラー: error=${error.message}`, error);
+    return upstreamErrorResponse(error);
+  }
+}
+
+// ===== 統計ユーティリティ =====
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// 昇順ソート済みの配列の上下 ratio ずつを除いた平均（外れ値の影響を抑える）
+function trimmedMean(sorted, ratio) {
+  if (sorted.length === 0) return null;
+  const cut = Math.floor(sorted.length * ratio);
+  const trimmed = sorted.length - cut * 2 > 0 ? sorted.slice(cut, sorted.length - cut) : sorted;
+  return mean(trimmed);
+}
+
+function standardDeviation(values) {
+  if (values.length === 0) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+// { value, weight } の配列の重み付き中央値
+function weightedMedian(items) {
+  const sorted = items.slice().sort((a, b) => a.value - b.value);
+  const half = sorted.reduce((sum, item) => sum + item.weight, 0) / 2;
+  let cumulative = 0;
+  for (const item of sorted) {
+    cumulative += item.weight;
+    if (cumulative >= half) return item.value;
+  }
+  return null;
+}
+
+// 昇順ソート済みの配列から分位点を線形補間で求める
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// 参照する取引（HQ/NQ別）の対数価格の中央値と MAD から、出品・取引の価格が外れ値かを判定する関数を返す
+// 判定結果は 'low'（釣り出品・捨て値）/ 'high'（放置された高値）/ null
+// 参照する取引が少ない品質は fallback（出品など）の分布で代用し、それも少なければ判定しない
+function createOutlierDetector(reference, fallback = []) {
+  const forQuality = hq => {
+    const prices = reference.filter(e => Boolean(e.hq) === hq).map(e => e.pricePerUnit);
+    return priceOutlierTest(prices.length >= OUTLIER_MIN_REFERENCE
+      ? prices
+      : fallback.filter(e => Boolean(e.hq) === hq).map(e => e.pricePerUnit));
+  };
+  const tests = { hq: forQuality(true), nq: forQuality(false) };
+  return entry => (entry.hq ? tests.hq : tests.nq)(entry.pricePerUnit);
+}
+
+// マーケットデータ（リージョンの出品と取引履歴）について、直近 OUTLIER_WINDOW の取引を基準に外れ値を判定する
+function createMarketOutlierDetector(marketData) {
+  const since = Math.floor(Date.now() / 1000) - OUTLIER_WINDOW;
+  return createOutlierDetector(
+    (marketData.recentHistory || []).filter(h => h.timestamp >= since),
+    marketData.listings || []);
+}
+
+// 取引履歴を含まない出品（一括取得）は出品自体の分布を基準に、外れ値の出品を除く
+function withoutOutlierListings(listings) {
+  const detectOutlier = createOutlierDetector([], listings);
+  return listings.filter(l => !detectOutlier(l));
+}
+
+function priceOutlierTest(prices) {
+  if (prices.length < OUTLIER_MIN_REFERENCE) return () => null;
+  const logs = prices.map(p => Math.log(Math.max(p, 1))).sort((a, b) => a - b);
+  const center = quantile(logs, 0.5);
+  const mad = quantile(logs.map(v => Math.abs(v - center)).sort((a, b) => a - b), 0.5);
+  // 修正Zスコア（0.6745 × 偏差 / MAD）が閾値を超える範囲
+  const band = OUTLIER_Z_THRESHOLD * Math.max(mad, OUTLIER_MIN_MAD) / 0.6745;
+  return price => {
+    const deviation = Math.log(Math.max(price, 1)) - center;
+    if (deviation < -band) return 'low';
+    if (deviation > band) return 'high';
+    return null;
+  };
+}
+
+// 全体・HQ・NQ それぞれに集計関数を適用する
+function splitByQuality(entries, summarize) {
+  return {
+    all: summarize(entries),
+    hq: summarize(entries.filter(e => e.hq)),
+    nq: summarize(entries.filter(e => !e.hq)),
+  };
+}
+
+// 単価の分布（最小・四分位・中央値・トリム平均・標準偏差）
+function summarizePrices(entries) {
+  const prices = entries.map(e => e.pricePerUnit).sort((a, b) => a - b);
+  if (prices.length === 0) {
+    return { count: 0, units: 0, min: null, p25: null, median: null, p75: null, trimmedMean: null, stdDev: null };
+  }
+  return {
+    count: prices.length,
+    units: entries.reduce((sum, e) => sum + e.quantity, 0),
+    min: prices[0],
+    p25: Math.round(quantile(prices, 0.25)),
+    median: Math.round(quantile(prices, 0.5)),
+    p75: Math.round(quantile(prices, 0.75)),
+    trimmedMean: Math.round(trimmedMean(prices, 0.1)),
+    stdDev: Math.round(standardDeviation(prices)),
+  };
+}
+
+// 取引履歴の分布に加えて、期間内の販売数量と1日あたりの販売速度
+function summarizeSales(entries, windowSeconds) {
+  const days = windowSeconds / 86400;
+  const { units, ...summary } = summarizePrices(entries);
+  return {
+    ...summary,
+    unitsSold: units,
+    salesPerDay: Math.round((entries.length / days) * 100) / 100,
+    velocity: Math.round((units / days) * 100) / 100,
+  };
+}
+
+
+// アイテム解決 / ワールド別スナップショット / リージョン履歴 / ワールド構成 をそれぞれ別のTTLで保持する
+
+function getItemCandidates(config, ctx, query) {
+  return cachedJson(config, ctx, `items:${query.toLowerCase()}`, config.itemCacheTtl,
+    () => searchItemCandidates(config, query, 50));
+}
+
+function getItem(config, ctx, itemId) {
+  return cachedJson(config, ctx, `item:${itemId}`, config.itemCacheTtl,
+    () => fetchItem(config, itemId));
+}
+
+// 複数アイテムの名前をまとめて取得（存在しないIDは結果に含まれない）
+function getItems(config, ctx, itemIds) {
+  const ids = itemIds.slice().sort((a, b) => a - b);
+  return cachedJson(config, ctx, `itemrows:${ids.join(',')}`, config.itemCacheTtl,
+    () => fetchItems(config, ids));
+}
+
+function getMarketSnapshot(config, ctx, world, itemId) {
+  return cachedJson(config, ctx, `market:${world.toLowerCase()}:${itemId}`, config.cacheTtl,
+    () => fetchMarketData(config, world, itemId));
+}
+
+function getRegionHistory(config, ctx, region, itemId) {
+  return cachedJson(config, ctx, `history:${region}:${itemId}`, config.historyCacheTtl,
+    () => fetchMarketData(config, region, itemId, REGION_HISTORY_ENTRIES));
+}
+
+function getTaxRates(config, ctx, world) {
+  return cachedJson(config, ctx, `tax:${world.toLowerCase()}`, TAX_RATE_CACHE_TTL,
+    () => fetchTaxRates(config, world));
+}
+
+// 指定アイテムを完成品とするレシピをまとめて取得
+function getRecipesByResult(config, ctx, itemIds) {
+  const ids = itemIds.slice().sort((a, b) => a - b);
+  return cachedJson(config, ctx, `recipes-by-result:${ids.join(',')}`, config.itemCacheTtl,
+    () => searchRecipes(config, ids.map(id => `ItemResult=${id}`).join(' ')));
+}
+
+// 複数アイテムの出品をまとめて取得（買い物リスト用、取引履歴は含めない）
+function getMarketListings(config, ctx, world, itemIds) {
+  const ids = itemIds.slice().sort((a, b) => a - b);
+  return cachedJson(config, ctx, `listings:${world.toLowerCase()}:${ids.join(',')}`, config.cacheTtl,
+    () => fetchMarketListings(config, world, ids));
+}
+
+// 一括取得（Universalis・XIVAPI とも1回100件まで）に合わせてIDを分割する
+function chunkIds(ids, size = 100) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += size) {
+    chunks.push(ids.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// 100件を超えるアイテムは分割して取得し、itemId → 出品 の Map にまとめる
+async function getListingsByItem(config, ctx, world, itemIds) {
+  const markets = await Promise.all(chunkIds(itemIds).map(ids => getMarketListings(config, ctx, world, ids)));
+  const listingsByItem = new Map();
+  markets.forEach(market => Object.entries(market.data.items).forEach(([id, listings]) => listingsByItem.set(Number(id), listings)));
+  return { listingsByItem, markets };
+}
+
+// 複数アイテムの直近の取引履歴をまとめて取得（販売速度の算出用、期間は既定で STATS_WINDOW）
+function getSalesHistory(config, ctx, world, itemIds, withinSeconds = STATS_WINDOW) {
+  const ids = itemIds.slice().sort((a, b) => a - b);
+  const window = withinSeconds === STATS_WINDOW ? '' : `${withinSeconds}:`;
+  return cachedJson(config, ctx, `sales:${world.toLowerCase()}:${window}${ids.join(',')}`, config.historyCacheTtl,
+    () => fetchSalesHistory(config, world, ids, withinSeconds));
+}
+
+// 100件を超えるアイテムは分割して取得し、itemId → 取引履歴 の Map にまとめる
+async function getSalesByItem(config, ctx, world, itemIds, withinSeconds = STATS_WINDOW) {
+  const histories = await Promise.all(chunkIds(itemIds).map(ids => getSalesHistory(config, ctx, world, ids, withinSeconds)));
+  const salesByItem = new Map();
+  histories.forEach(history => Object.entries(history.data.items).forEach(([id, sales]) => salesByItem.set(Number(id), sales)));
+  return { salesByItem, histories };
+}
+
+// 指定アイテムを素材に使うレシピ
+function getRecipesByIngredient(config, ctx, itemId) {
+  return cachedJson(config, ctx, `recipes-by-ingredient:${itemId}`, config.itemCacheTtl,
+    () => searchRecipes(config, `Ingredient[]=${itemId}`));
+}
+
+function getMateriaTable(config, ctx) {
+  return cachedJson(config, ctx, 'materia', config.itemCacheTtl,
+    () => fetchMateriaTable(config));
+}
+
+// NPC販売品の一括比較用の全件の販売表（シート全体を読み込むため、日次ジョブで事前に取得しておく）
+function getVendorTable(config, ctx) {
+  return cachedJson(config, ctx, 'vendors', config.itemCacheTtl,
+    () => fetchVendorTable(config));
+}
+
+function getExchangeTable(config, ctx) {
+  return cachedJson(config, ctx, 'exchange', config.itemCacheTtl,
+    () => fetchExchangeTable(config));
+}
+
+function getItemCategories(config, ctx) {
+  return cachedJson(config, ctx, 'categories', config.itemCacheTtl,
+    () => fetchItemCategories(config));
+}
+
+function getCategoryItems(config, ctx, categoryId) {
+  return cachedJson(config, ctx, `category:${categoryId}`, config.itemCacheTtl,
+    () => fetchCategoryItems(config, categoryId));
+}
+
+function getStainNames(config, ctx) {
+  return cachedJson(config, ctx, 'stains', config.itemCacheTtl,
+    () => fetchStainNames(config));
+}
+
+function getWorldTopology(config, ctx) {
+  return cachedJson(config, ctx, 'worlds', WORLD_CACHE_TTL,
+    () => fetchWorldTopology(config));
+}
+
+// isolate 内で進行中の上流取得（key → Promise）
+const inflightLoads = new Map();
+
+// key ごとに上流データを保持する。TTL 経過後も staleWhileRevalidate 秒間は
+// 古いデータをそのまま返し、ctx.waitUntil で裏で取り直す。
+// さらに staleIfError 秒間は、上流障害時の最終手段として stale: true 付きで返す
+async function cachedJson(config, ctx, key, ttl, loader) {
+  const cache = caches.default;
+  const cacheUrl = `${CACHE_ORIGIN}/cache/${encodeURIComponent(key)}`;
+
+  // 同じ key の取得が進行中であれば、その Promise を共有する
+  const refresh = () => {
+    if (!inflightLoads.has(key)) {
+      const promise = loadAndStore().finally(() => inflightLoads.delete(key));
+      inflightLoads.set(key, promise);
+    }
+    return inflightLoads.get(key);
+  };
+
+  const loadAndStore = async () => {
+    const data = await loader();
+    const fetchedAt = Date.now();
+    await cache.put(cacheUrl, new Response(JSON.stringify(data), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${ttl + config.staleWhileRevalidate + config.staleIfError}`,
+        'X-Fetched-At': String(fetchedAt),
+      }
+    }));
+    return { data, fetchedAt };
+  };
+
+  const cached = await cache.match(cacheUrl);
+  let fallback = null;
+  if (cached) {
+    const fetchedAt = Number(cached.headers.get('X-Fetched-At')) || 0;
+    const age = (Date.now() - fetchedAt) / 1000;
+    const data = await cached.json();
+    if (age <= ttl) {
+      return { data, cache: 'HIT', fetchedAt, stale: false };
+    }
+    if (ctx && age <= ttl + config.staleWhileRevalidate) {
+      console.log(`[Cache] 期限切れのため裏で更新: key="${key}", age=${Math.round(age)}s`);
+      ctx.waitUntil(refresh().catch(error => {
+        console.error(`[Cache] 更新エラー: key="${key}", error=${error.message}`);
+      }));
+      return { data, cache: 'STALE', fetchedAt, stale: false };
+    }
+    fallback = { data, cache: 'STALE', fetchedAt, stale: true };
+  }
+
+  try {
+    const fresh = await refresh();
+    return { data: fresh.data, cache: 'MISS', fetchedAt: fresh.fetchedAt, stale: false };
+  } catch (error) {
+    // 上流障害時は最後に取得できたデータを返す
+    if (fallback && error instanceof UpstreamError) {
+      console.error(`[Cache] 上流障害のため保存済みデータを返却: key="${key}", kind=${error.kind}`);
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Server-Timing ヘッダー用のフェーズ別計測
+function createTimings() {
+  const entries = [];
+  const startedAt = Date.now();
+  return {
+    async measure(name, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        entries.push({ name, dur: Date.now() - start });
+      }
+    },
+    header() {
+      return [...entries, { name: 'total', dur: Date.now() - startedAt }]
+        .map(e => `${e.name};dur=${e.dur}`)
+        .join(', ');
+    },
+  };
+}
+
+// 複数層のキャッシュ状態を1つにまとめる（MISS > STALE > HIT）
+function summarizeCacheStatus(statuses) {
+  statuses = statuses.filter(Boolean);
+  if (statuses.includes('MISS')) return 'MISS';
+  if (statuses.includes('STALE')) return 'STALE';
+  return 'HIT';
+}
+
+async function searchItemCandidates(config, query, limit = 10) {
+  // XIVAPI v2のキーワード検索を使用
+  // Name~"keyword" で部分一致検索
+  const searchQuery = `Name~"${query}"`;
+  const url = `${XIVAPI_BASE}/search?sheets=Item&fields=Name,ItemUICategory.Name,Icon,ItemSearchCategory&language=ja&query=${encodeURIComponent(searchQuery)}&limit=${limit}`;
+
+  console.log(`[XIVAPI] アイテム検索開始: query="${query}", url="${url}"`);
+
+  try {
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+    console.log(`[XIVAPI] データ受信: results=${data.results?.length || 0}件`);
+
+    // v2のレスポンス形式: { results: [{ row_id, fields: { Name, ... } }] }
+    return (data.results || []).map(item => ({
+      id: item.row_id,
+      name: item.fields?.Name || query,
+      category: item.fields?.ItemUICategory?.fields?.Name || null,
+      iconUrl: buildIconUrl(item.fields?.Icon),
+      // ItemSearchCategory が 0 のアイテムはマーケットボードに出品できない
+      marketable: (item.fields?.ItemSearchCategory?.row_id || 0) > 0,
+    }));
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: query="${query}", error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchItem(config, itemId) {
+  // アイテムIDから名前を取得（存在しないIDは null）
+  const url = `${XIVAPI_BASE}/sheet/Item/${itemId}?fields=Name&language=ja`;
+
+  console.log(`[XIVAPI] アイテム取得開始: itemId=${itemId}, url="${url}"`);
+
+  try {
+    // 存在しないIDは 404 が返るため null として扱う
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config), notFoundAsNull: true });
+    if (!data || !data.fields?.Name) {
+      return null;
+    }
+
+    return {
+      id: data.row_id,
+      name: data.fields.Name,
+    };
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: itemId=${itemId}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchItems(config, itemIds) {
+  // rows パラメータで複数行をまとめて取得
+  const url = `${XIVAPI_BASE}/sheet/Item?rows=${itemIds.join(',')}&fields=Name&language=ja`;
+
+  console.log(`[XIVAPI] アイテム一括取得開始: ${itemIds.length}件, url="${url}"`);
+
+  try {
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+    return (data.rows || [])
+      .filter(row => row.fields?.Name)
+      .map(row => ({ id: row.row_id, name: row.fields.Name }));
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: itemIds=${itemIds.join(',')}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function searchRecipes(config, query) {
+  // 空白区切りの条件はいずれかに一致（OR）として検索される
+  const fields = 'ItemResult.Name,AmountResult,Ingredient[].Name,AmountIngredient,CraftType.Name';
+  const url = `${XIVAPI_BASE}/search?sheets=Recipe&fields=${fields}&language=ja&query=${encodeURIComponent(query)}&limit=${RECIPE_SEARCH_LIMIT}`;
+
+  console.log(`[XIVAPI] レシピ検索開始: query="${query}"`);
+
+  try {
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+    console.log(`[XIVAPI] データ受信: results=${data.results?.length || 0}件${data.next ? '（続きあり）' : ''}`);
+
+    // 続き（next）がある場合は RECIPE_SEARCH_LIMIT 件で打ち切っていることを truncated で返す
+    const recipes = (data.results || []).map(row => {
+      const f = row.fields || {};
+      const amounts = f.AmountIngredient || [];
+      return {
+        id: row.row_id,
+        resultId: f.ItemResult?.row_id || 0,
+        resultName: f.ItemResult?.fields?.Name || null,
+        amountResult: f.AmountResult || 1,
+        craftType: f.CraftType?.fields?.Name || null,
+        // 素材欄は8枠固定で、未使用の枠は row_id 0 または数量 0
+        ingredients: (f.Ingredient || [])
+          .map((ingredient, index) => ({
+            itemId: ingredient?.row_id || 0,
+            name: ingredient?.fields?.Name || null,
+            amount: amounts[index] || 0,
+          }))
+          .filter(i => i.itemId > 0 && i.amount > 0),
+      };
+    });
+    return { recipes, truncated: Boolean(data.next) };
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: query="${query}", error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchMarketListings(config, world, itemIds) {
+  // カンマ区切りで複数アイテムを一括取得（entries=0 で取引履歴は省く）
+  const url = `${UNIVERSALIS_BASE}/${encodeURIComponent(world)}/${itemIds.join(',')}?entries=0`;
+
+  console.log(`[Universalis] 出品一括取得開始: world="${world}", ${itemIds.length}件, url="${url}"`);
+
+  try {
+    const data = await upstreamJson(url);
+    // 1件のみの場合は items で包まれず、アイテム単体の形式で返る
+    const entries = itemIds.length === 1 ? { [itemIds[0]]: data } : (data.items || {});
+    const items = {};
+    Object.entries(entries).forEach(([id, item]) => {
+      items[id] = item.listings || [];
+    });
+    console.log(`[Universalis] データ受信: ${Object.keys(items).length}件, unresolved=${data.unresolvedItems?.length || 0}件`);
+    return { items, unresolvedItems: data.unresolvedItems || [] };
+
+  } catch (error) {
+    console.error(`[Universalis] 例外エラー: world="${world}", itemIds=${itemIds.join(',')}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchTaxRates(config, world) {
+  // { "Limsa Lominsa": 5, "Gridania": 3, ... } の形式（単位は%）
+  const url = `${UNIVERSALIS_BASE}/tax-rates?world=${encodeURIComponent(world)}`;
+
+  console.log(`[Universalis] 税率取得開始: world="${world}"`);
+
+  try {
+    const data = await upstreamJson(url);
+    const rates = {};
+    Object.entries(data || {}).forEach(([city, rate]) => {
+      if (typeof rate === 'number') rates[city] = rate;
+    });
+    return rates;
+
+  } catch (error) {
+    console.error(`[Universalis] 例外エラー: world="${world}", error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchSalesHistory(config, world, itemIds, withinSeconds) {
+  // 履歴専用エンドポイントで、期間内の取引のみをまとめて取得
+  const url = `${UNIVERSALIS_BASE}/history/${encodeURIComponent(world)}/${itemIds.join(',')}?entriesWithin=${withinSeconds}&entriesToReturn=${SALES_HISTORY_ENTRIES}`;
+
+  console.log(`[Universalis] 取引履歴一括取得開始: world="${world}", ${itemIds.length}件, url="${url}"`);
+
+  try {
+    const data = await upstreamJson(url);
+    // 1件のみの場合は items で包まれず、アイテム単体の形式で返る
+    const entries = itemIds.length === 1 ? { [itemIds[0]]: data } : (data.items || {});
+    const items = {};
+    Object.entries(entries).forEach(([id, item]) => {
+      items[id] = item.entries || [];
+      // 上限に達した場合は期間の古い側が欠けており、販売速度が実際より低く出る
+      if (items[id].length >= SALES_HISTORY_ENTRIES) {
+        console.log(`[Universalis] 取引履歴が上限 ${SALES_HISTORY_ENTRIES} 件に達しました: world="${world}", itemId=${id}`);
+      }
+    });
+    console.log(`[Universalis] データ受信: ${Object.keys(items).length}件`);
+    return { items };
+
+  } catch (error) {
+    console.error(`[Universalis] 例外エラー: world="${world}", itemIds=${itemIds.join(',')}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+async function fetchMarketData(config, world, itemId, entries = 10) {
+  // world にはワールド名・DC名・リージョン名のいずれかを指定
+  const searchWorld = world;
+  // entries で取引履歴を取得（デフォルト10件）
+  const url = `${UNIVERSALIS_BASE}/${encodeURIComponent(searchWorld)}/${itemId}?entries=${entries}`;
+
+  console.log(`[Universalis] マーケットデータ取得開始: world="${searchWorld}", itemId=${itemId}, url="${url}"`);
+
+  try {
+    const data = await upstreamJson(url);
+    console.log(`[Universalis] データ受信: itemName="${data.itemName || data.name}", listings=${data.listings?.length || 0}件, history=${data.recentHistory?.length || 0}件`);
+
+    return {
+      itemName: data.itemName || data.name,
+      listings: data.listings || [],
+      recentHistory: data.recentHistory || [],
+      averagePrice: data.averagePrice,
+      // lastUploadTime は取得範囲全体、worldUploadTimes は DC / リージョン指定時のワールドID別（いずれもミリ秒）
+      lastUploadTime: data.lastUploadTime || null,
+      worldUploadTimes: data.worldUploadTimes || {},
+    };
+
+  } catch (error) {
+    console.error(`[Universalis] 例外エラー: world="${searchWorld}", itemId=${itemId}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// Materia シート: マテリアの種類 → 等級ごとのアイテムと上昇する能力値
+async function fetchMateriaTable(config) {
+  try {
+    const rows = await fetchAllSheetRows(config, 'Materia', 'fields=Item[].Name,BaseParam.Name,Value&language=ja');
+    const table = {};
+    rows.forEach(row => {
+      const f = row.fields || {};
+      const values = f.Value || [];
+      const grades = (f.Item || []).map((item, grade) => (item && item.row_id > 0 && item.fields?.Name
+        ? { itemId: item.row_id, name: item.fields.Name, value: values[grade] ?? null }
+        : null));
+      if (grades.some(Boolean)) {
+        table[row.row_id] = { param: f.BaseParam?.fields?.Name || null, grades };
+      }
+    });
+    console.log(`[XIVAPI] マテリア取得完了: ${Object.keys(table).length}種類`);
+    return table;
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=Materia, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// Stain シート: カララントの ID → 名前
+async function fetchStainNames(config) {
+  try {
+    const rows = await fetchAllSheetRows(config, 'Stain', 'fields=Name&language=ja');
+    const names = {};
+    rows.forEach(row => {
+      if (row.row_id > 0 && row.fields?.Name) names[row.row_id] = row.fields.Name;
+    });
+    console.log(`[XIVAPI] カララント取得完了: ${Object.keys(names).length}件`);
+    return names;
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=Stain, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// 指定アイテムを販売している GilShopItem の行を検索し、販売価格とショップ名を返す（販売していない場合は null）
+async function fetchVendorItem(config, itemId) {
+  const url = `${XIVAPI_BASE}/search?sheets=GilShopItem&fields=Item.PriceMid&query=${encodeURIComponent(`Item=${itemId}`)}&limit=100`;
+
+  console.log(`[XIVAPI] NPC販売品検索開始: itemId=${itemId}`);
+
+  try {
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+    const rows = (data.results || []).filter(row => (row.fields?.Item?.fields?.PriceMid || 0) > 0);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    // 行IDがショップ（GilShop の行ID）に対応する
+    const shopIds = [...new Set(rows.map(row => row.row_id))];
+    const shopUrl = `${XIVAPI_BASE}/sheet/GilShop?rows=${shopIds.join(',')}&fields=Name&language=ja`;
+    const shopData = await upstreamJson(shopUrl, { fetchUrl: withXivapiKey(shopUrl, config) });
+    const shopNames = new Map((shopData.rows || []).map(row => [row.row_id, row.fields?.Name || null]));
+
+    return {
+      price: rows[0].fields.Item.fields.PriceMid,
+      shops: shopIds.map(shopId => ({ shopId, name: shopNames.get(shopId) || null })),
+    };
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=GilShopItem, itemId=${itemId}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// GilShopItem / GilShop シート: NPC が販売しているアイテム → 販売価格と販売しているショップ
+// GilShopItem の行IDが GilShop の行ID（ショップ）、サブ行がショップの各商品に対応する
+// 販売価格は Item.PriceMid（NPC からの購入価格）。ショップを置いている NPC と場所は
+// ENpcBase / Level シートの全件走査が必要になるため、ショップ名を販売場所として返す
+async function fetchVendorTable(config) {
+  try {
+    const [itemRows, shopRows] = await Promise.all([
+      fetchAllSheetRows(config, 'GilShopItem', 'fields=Item.Name,Item.PriceMid,Item.ItemSearchCategory&language=ja'),
+      fetchAllSheetRows(config, 'GilShop', 'fields=Name&language=ja'),
+    ]);
+    const shopNames = {};
+    shopRows.forEach(row => {
+      if (row.fields?.Name) shopNames[row.row_id] = row.fields.Name;
+    });
+
+    const table = {};
+    itemRows.forEach(row => {
+      const item = row.fields?.Item;
+      const price = item?.fields?.PriceMid || 0;
+      if (!item || !(item.row_id > 0) || price <= 0) return;
+      const entry = table[item.row_id] = table[item.row_id] || {
+        name: item.fields.Name || null,
+        price,
+        // ItemSearchCategory が 0 のアイテムはマーケットボードに出品できない
+        marketable: (item.fields.ItemSearchCategory?.row_id || 0) > 0,
+        shops: [],
+      };
+      if (!entry.shops.some(shop => shop.shopId === row.row_id)) {
+        entry.shops.push({ shopId: row.row_id, name: shopNames[row.row_id] || null });
+      }
+    });
+    console.log(`[XIVAPI] NPC販売品取得完了: ${Object.keys(table).length}件, ショップ${shopRows.length}件`);
+    return table;
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=GilShopItem, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// SpecialShop / GCScripShopItem シート: 特殊通貨 → 交換できるアイテムと必要な通貨の量
+// { poetics: [{ itemId, quantity, cost }], ... } の形式（EXCHANGE_CURRENCIES のキーごと）
+// 通貨以外のアイテムも対価に含む交換は、通貨だけでは入手できないため対象にしない
+async function fetchExchangeTable(config) {
+  try {
+    const [shopRows, tomestoneRows, sealRows] = await Promise.all([
+      fetchAllSheetRows(config, 'SpecialShop',
+        'fields=UseCurrencyType,Item[].Item@as(raw),Item[].ReceiveCount,Item[].ItemCost@as(raw),Item[].CurrencyCost'),
+      fetchAllSheetRows(config, 'TomestonesItem', 'fields=Item@as(raw),Tomestones@as(raw)'),
+      fetchAllSheetRows(config, 'GCScripShopItem', 'fields=Item@as(raw),CostGCSeals'),
+    ]);
+
+    const currencyKeys = new Map(Object.entries(EXCHANGE_CURRENCIES)
+      .flatMap(([key, currency]) => currency.itemIds.map(id => [id, key])));
+    const tomestoneItems = new Map(tomestoneRows
+      .filter(row => row.fields?.Tomestones > 0 && row.fields.Item > 0)
+      .map(row => [row.fields.Tomestones, row.fields.Item]));
+
+    const table = {};
+    Object.keys(EXCHANGE_CURRENCIES).forEach(key => { table[key] = []; });
+    const add = (key, itemId, quantity, cost) => {
+      if (key && itemId > 0 && quantity > 0 && cost > 0) table[key].push({ itemId, quantity, cost });
+    };
+
+    shopRows.forEach(row => {
+      const f = row.fields || {};
+      (f.Item || []).forEach(entry => {
+        const costs = (entry.ItemCost || [])
+          .map((costId, index) => ({ costId, amount: (entry.CurrencyCost || [])[index] || 0 }))
+          .filter(c => c.costId > 0 && c.amount > 0);
+        if (costs.length !== 1) return;
+        const { costId } = costs[0];
+        let costItemId = costId;
+        if (f.UseCurrencyType === TOMESTONE_CURRENCY_TYPE) {
+          costItemId = tomestoneItems.get(costId) || costId;
+        } else if (SCRIP_CURRENCY_ITEMS.has(costId)) {
+          costItemId = SCRIP_CURRENCY_ITEMS.get(costId);
+        }
+        // 受け取るアイテムが2種類の交換は、1種類目のみを評価する
+        add(currencyKeys.get(costItemId), (entry.Item || [])[0], (entry.ReceiveCount || [])[0], costs[0].amount);
+      });
+    });
+    sealRows.forEach(row => add('seals', row.fields?.Item, 1, row.fields?.CostGCSeals));
+
+    console.log(`[XIVAPI] 交換表取得完了: ${Object.entries(table).map(([key, entries]) => `${key}=${entries.length}`).join(', ')}`);
+    // 対価の指定方法が変わった場合などに気づけるよう、交換品が見つからない通貨を記録する
+    const missing = Object.keys(table).filter(key => table[key].length === 0);
+    if (missing.length > 0) {
+      console.error(`[XIVAPI] 交換品が見つからない通貨があります: ${missing.join(', ')}`);
+    }
+    return table;
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=SpecialShop, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// ItemUICategory シート: アイテムカテゴリの ID → 名前（名前のない行は除く）
+async function fetchItemCategories(config) {
+  try {
+    const rows = await fetchAllSheetRows(config, 'ItemUICategory', 'fields=Name&language=ja');
+    const categories = rows
+      .filter(row => row.row_id > 0 && row.fields?.Name)
+      .map(row => ({ id: row.row_id, name: row.fields.Name }));
+    console.log(`[XIVAPI] カテゴリ取得完了: ${categories.length}件`);
+    return categories;
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: sheet=ItemUICategory, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// 指定カテゴリのうちマーケットに出品できるアイテム（最大 MAX_SCAN_ITEMS 件）
+async function fetchCategoryItems(config, categoryId) {
+  const query = `+ItemUICategory=${categoryId} -ItemSearchCategory=0`;
+  let url = `${XIVAPI_BASE}/search?sheets=Item&fields=Name&language=ja&query=${encodeURIComponent(query)}&limit=500`;
+
+  console.log(`[XIVAPI] カテゴリのアイテム検索開始: categoryId=${categoryId}`);
+
+  try {
+    const items = [];
+    // 続きがある場合は next のカーソルで取得する
+    while (url && items.length < MAX_SCAN_ITEMS) {
+      const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+      (data.results || []).forEach(row => {
+        if (row.fields?.Name) items.push({ id: row.row_id, name: row.fields.Name });
+      });
+      url = data.next ? `${XIVAPI_BASE}/search?cursor=${encodeURIComponent(data.next)}&limit=500` : null;
+    }
+    console.log(`[XIVAPI] データ受信: categoryId=${categoryId}, ${items.length}件`);
+    return items.slice(0, MAX_SCAN_ITEMS);
+
+  } catch (error) {
+    console.error(`[XIVAPI] 例外エラー: categoryId=${categoryId}, error=${error.message}`, error);
+    throw error;
+  }
+}
+
+// シートを500行ずつ全件取得する
+// サブ行を持つシート（GilShopItem など）は「行ID:サブ行ID」の続きから取得する
+async function fetchAllSheetRows(config, sheet, query) {
+  const rows = [];
+  let after = null;
+  for (;;) {
+    const url = `${XIVAPI_BASE}/sheet/${sheet}?${query}&limit=500${after !== null ? `&after=${after}` : ''}`;
+    console.log(`[XIVAPI] ${sheet}シート取得開始: url="${url}"`);
+
+    const data = await upstreamJson(url, { fetchUrl: withXivapiKey(url, config) });
+    const page = data.rows || [];
+    rows.push(...page);
+    if (page.length < 500) break;
+    const last = page[page.length - 1];
+    after = last.subrow_id !== undefined ? `${last.row_id}:${last.subrow_id}` : last.row_id;
+  }
+  return rows;
+}
+
+async function fetchWorldTopology(config) {
+  // World シートを全件取得して リージョン → DC → ワールド の構成を組み立てる
+  const rows = await fetchAllSheetRows(config, 'World', 'fields=Name,DataCenter.Name,DataCenter.Region,IsPublic');
+
+  const regions = {};
+  rows
+    .filter(r => r.fields?.IsPublic === true && r.fields.DataCenter?.fields?.Name)
+    .forEach(r => {
+      const regionName = REGION_NAMES[r.fields.DataCenter.fields.Region];
+      if (!regionName) {
+        console.log(`[XIVAPI] 未対応のリージョン: world="${r.fields.Name}", region=${r.fields.DataCenter.fields.Region}`);
+        return;
+      }
+      const dcName = r.fields.DataCenter.fields.Name;
+      regions[regionName] = regions[regionName] || {};
+      regions[regionName][dcName] = regions[regionName][dcName] || [];
+      regions[regionName][dcName].push({ id: r.row_id, name: r.fields.Name });
+    });
+
+  const regionOrder = Object.values(REGION_NAMES);
+  const topology = {
+    regions: Object.keys(regions)
+      .sort((a, b) => regionOrder.indexOf(a) - regionOrder.indexOf(b))
+      .map(regionName => ({
+        name: regionName,
+        dataCenters: Object.keys(regions[regionName]).sort().map(dcName => ({
+          name: dcName,
+          worlds: regions[regionName][dcName].sort((a, b) => a.name.localeCompare(b.name)),
+        })),
+      })),
+  };
+
+  console.log(`[XIVAPI] ワールド構成取得完了: ${topology.regions.length}リージョン, ${rows.length}行`);
+  return topology;
+}
+
+// リクエストの world / dc から検索範囲を解決する
+// 未指定の場合はデフォルトワールドが属するリージョン全体を対象にし、見つからない場合は response に 400 を返す
+function resolveRequestScope(topology, config, name) {
+  if (!name) verifyDefaultWorld(config, topology);
+  const resolved = resolveScope(topology, name || config.defaultWorld);
+  if (!resolved) {
+    return { response: jsonResponse({ error: 'unknown_world', message: `ワールド "${name}" が見つかりませんでした` }, 400) };
+  }
+  return { scope: name ? resolved : { type: 'region', name: resolved.region.name, region: resolved.region } };
+}
+
+// ワールド名・DC名・リージョン名のいずれかから検索範囲を解決する
+function resolveScope(topology, name) {
+  const target = name.toLowerCase();
+  for (const region of topology.regions) {
+    if (region.name.toLowerCase() === target) {
+      return { type: 'region', name: region.name, region };
+    }
+    for (const dc of region.dataCenters) {
+      if (dc.name.toLowerCase() === target) {
+        return { type: 'dc', name: dc.name, region, dataCenter: dc };
+      }
+      const world = dc.worlds.find(w => w.name.toLowerCase() === target);
+      if (world) {
+        return { type: 'world', name: world.name, region, dataCenter: dc, world };
+      }
+    }
+  }
+  return null;
+}
+
+// ===== 上流クライアント =====
+// ホストごとのタイムアウト・リトライ回数・サーキットブレーカー設定
+const UPSTREAM_POLICIES = {
+  'v2.xivapi.com': { name: 'XIVAPI', timeoutMs: 8000, retries: 2, failureThreshold: 5, cooldownMs: 30000 },
+  'universalis.app': { name: 'Universalis', timeoutMs: 10000, retries: 2, failureThreshold: 5, cooldownMs: 30000 },
+};
+const DEFAULT_UPSTREAM_POLICY = { name: 'Upstream', timeoutMs: 8000, retries: 1, failureThreshold: 5, cooldownMs: 30000 };
+const RETRY_BASE_DELAY_MS = 250;  // リトライ間隔の基準値（指数バックオフ + ジッター）
+const MAX_RETRY_WAIT_MS = 5000;   // Retry-After がこれより長い場合はリトライせず失敗とする
+
+// ホストごとのサーキット状態（isolate 内で共有）
+const circuitStates = new Map();
+
+class UpstreamError extends Error {
+  // kind: timeout | rate_limited | unavailable | circuit_open | bad_response
+  constructor(kind, upstream, message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.kind = kind;
+    this.upstream = upstream;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// GET専用の上流呼び出し。タイムアウト・ジッター付きリトライ・Retry-After・サーキットブレーカーを扱う
+// fetchUrl はログに出さない実際の取得先（APIキー付きURLなど）
+async function upstreamFetch(url, { fetchUrl = url, acceptStatuses = [] } = {}) {
+  const host = new URL(url).hostname;
+  const policy = UPSTREAM_POLICIES[host] || DEFAULT_UPSTREAM_POLICY;
+  const circuit = circuitStates.get(host) || { failures: 0, openUntil: 0 };
+  circuitStates.set(host, circuit);
+
+  if (circuit.openUntil > Date.now()) {
+    const retryAfter = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+    console.log(`[Upstream] サーキット遮断中: upstream=${policy.name}, retryAfter=${retryAfter}s`);
+    throw new UpstreamError('circuit_open', policy.name, `${policy.name} circuit is open`, { retryAfter });
+  }
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= policy.retries; attempt++) {
+    if (attempt > 0) {
+      // Retry-After があればそれに従い、なければ指数バックオフ（フルジッター）
+      const delay = lastError.retryAfter !== null
+        ? lastError.retryAfter * 1000
+        : Math.random() * RETRY_BASE_DELAY_MS * (2 ** attempt);
+      if (delay > MAX_RETRY_WAIT_MS) break;
+      console.log(`[Upstream] リトライ: upstream=${policy.name}, attempt=${attempt}, delay=${Math.round(delay)}ms, reason=${lastError.kind}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+    try {
+      const response = await fetch(fetchUrl, {
+        headers: {
+          'User-Agent': 'FFXIV-Market-Search/1.0',
+          'Accept': 'application/json'
+        },
+        signal: controller.signal,
+      });
+      console.log(`[Upstream] レスポンス受信: upstream=${policy.name}, status=${response.status}, attempt=${attempt}`);
+
+      if (response.ok || acceptStatuses.includes(response.status)) {
+        circuit.failures = 0;
+        return response;
+      }
+
+      // 上流の本文はログにのみ残し、レスポンスには含めない
+      const errorText = await response.text();
+      console.error(`[Upstream] エラー: upstream=${policy.name}, status=${response.status}, body=${errorText.slice(0, 200)}`);
+
+      if (response.status === 429) {
+        lastError = new UpstreamError('rate_limited', policy.name, `${policy.name} rate limited`, {
+          status: 429,
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+        });
+      } else if (response.status >= 500) {
+        lastError = new UpstreamError('unavailable', policy.name, `${policy.name} error: ${response.status}`, {
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+        });
+      } else {
+        // 4xx はリトライしても結果が変わらないため即座に失敗
+        throw new UpstreamError('bad_response', policy.name, `${policy.name} error: ${response.status}`, { status: response.status });
+      }
+    } catch (error) {
+      if (error instanceof UpstreamError) throw error;
+      lastError = error.name === 'AbortError'
+        ? new UpstreamError('timeout', policy.name, `${policy.name} timed out after ${policy.timeoutMs}ms`)
+        : new UpstreamError('unavailable', policy.name, `${policy.name} network error: ${error.message}`);
+      console.error(`[Upstream] 通信エラー: upstream=${policy.name}, attempt=${attempt}, error=${lastError.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // リトライを使い切った失敗のみサーキットの失敗として数える
+  circuit.failures++;
+  if (circuit.failures >= policy.failureThreshold) {
+    circuit.openUntil = Date.now() + policy.cooldownMs;
+    circuit.failures = 0;
+    console.error(`[Upstream] サーキット遮断: upstream=${policy.name}, cooldown=${policy.cooldownMs}ms`);
+  }
+  throw lastError;
+}
+
+async function upstreamJson(url, { fetchUrl = url, notFoundAsNull = false } = {}) {
+  const response = await upstreamFetch(url, { fetchUrl, acceptStatuses: notFoundAsNull ? [404] : [] });
+  if (response.status === 404) {
+    return null;
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    const upstream = (UPSTREAM_POLICIES[new URL(url).hostname] || DEFAULT_UPSTREAM_POLICY).name;
+    throw new UpstreamError('bad_response', upstream, `${upstream} returned invalid JSON`);
+  }
+}
+
+// Retry-After ヘッダー（秒数 または HTTP日付）を秒数に変換
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// 上流エラーを種類ごとのレスポンスに変換する（上流の本文は含めない）
+function upstreamErrorResponse(error) {
+  if (error instanceof ConfigError) {
+    console.error(`[Config] 設定エラー: ${error.message}`);
+    return jsonResponse({ error: 'config_error', message: 'サーバー設定が不正です' }, 500);
+  }
+  if (!(error instanceof UpstreamError)) {
+    return jsonResponse({ error: 'internal_error', message: 'サーバー内部でエラーが発生しました' }, 500);
+  }
+
+  const definitions = {
+    timeout: { status: 504, error: 'upstream_timeout', message: `${error.upstream} の応答がタイムアウトしました` },
+    rate_limited: { status: 503, error: 'upstream_rate_limited', message: `${error.upstream} のレート制限に達しました。しばらくしてから再試行してください` },
+    circuit_open: { status: 503, error: 'upstream_circuit_open', message: `${error.upstream} が不安定なため一時的に取得を停止しています` },
+    unavailable: { status: 502, error: 'upstream_unavailable', message: `${error.upstream} からデータを取得できませんでした` },
+    bad_response: { status: 502, error: 'upstream_bad_response', message: `${error.upstream} から不正な応答を受信しました` },
+  };
+  const def = definitions[error.kind] || definitions.unavailable;
+
+  const response = jsonResponse({
+    error: def.error,
+    message: def.message,
+    upstream: error.upstream,
+    retryAfter: error.retryAfter,
+  }, def.status);
+  if (error.retryAfter !== null) {
+    response.headers.set('Retry-After', String(error.retryAfter));
+  }
+  return response;
+}
+
+// XIVAPI キーはログに残さないよう、リクエスト直前にのみ付与する
+function withXivapiKey(url, config) {
+  if (!config.xivapiKey) return url;
+  return `${url}&private_key=${encodeURIComponent(config.xivapiKey)}`;
+}
+
+function buildIconUrl(icon) {
+  // Icon.id から URL を生成
+  if (!icon || !icon.id) return null;
+  const folder = String(Math.floor(icon.id / 1000) * 1000).padStart(6, '0');
+  const file = String(icon.id).padStart(6, '0');
+  return `https://xivapi.com/i/${folder}/${file}.png`;
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    }
+  });
+}
+
+// HTML Content (embedded)
+const HTML_CONTENT = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>FFXIV マーケット検索</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
+  <style>
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+    }
+
+    :root {
+      --primary: #3b82f6;
+      --primary-hover: #2563eb;
+      --bg: #f8fafc;
+      --sidebar-bg: #ffffff;
+      --text: #1e293b;
+      --text-muted: #64748b;
+      --border: #e2e8f0;
+      --hover-bg: #f1f5f9;
+      --selected-bg: #dbeafe;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: var(--bg);
+      color: var(--text);
+      margin: 0;
+      height: 100vh;
+      display: flex;
+      flex-direction: column;
+    }
+
+    .header {
+      background: var(--sidebar-bg);
+      padding: 16px 24px;
+      border-bottom: 1px solid var(--border);
+      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+
+    h1 {
+      font-size: 1.5rem;
+      margin: 0;
+    }
+
+    .header-right {
+      display: flex;
+      gap: 12px;
+      align-items: center;
+    }
+
+    .header-right select {
+      padding: 8px 12px;
+      border: 1px solid var(--border);
+      border-radius: 6px;
+      font-size: 14px;
+      background: white;
+      cursor: pointer;
+      min-width: 150px;
+    }
+
+    .header-right select:focus {
+      outline: none;
+      border-color: var(--primary);
+    }
+
+    .header-right label {
+      font-size: 13px;
+      color: var(--text-muted);
+      font-weight: 500;
+    }
+
+    .header-button {
+      padding: 8px 12px;
+      border: 1px solid var(--primary);
+      border-radius: 6px;
+      font-size: 13px;
+      background: white;
+      color: var(--primary);
+      cursor: pointer;
+    }
+
+    .main-container {
+      display: flex;
+      flex: 1;
+      overflow: hidden;
+    }
+
+    .sidebar {
+      width: 320px;
+      background: var(--sidebar-bg);
+      border-right: 1px solid var(--border);
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+    }
+
+    .search-box {
+      padding: 16px;
+      border-bottom: 1px solid var(--border);
+    }
+
+    .search-box input {
+      width: 100%;
+      padding: 10px 12px;
+      border: 1px solid var(--border);
+      border-radius: 6px;
+      font-size: 14px;
+    }
+
+    .search-box input:focus {
+      outline: none;
+      border-color: var(--primary);
+    }
+
+
+    .item-list {
+      flex: 1;
+      overflow-y: auto;
+    }
+
+    .item {
+      padding: 12px 16px;
+      border-bottom: 1px solid var(--border);
+      cursor: pointer;
+      transition: background 0.15s;
+    }
+
+    .item:hover {
+      background: var(--hover-bg);
+    }
+
+    .item.selected {
+      background: var(--selected-bg);
+      border-left: 3px solid var(--primary);
+    }
+
+    .item-name {
+      font-weight: 500;
+      margin-bottom: 4px;
+    }
+
+    .item-meta {
+      font-size: 12px;
+      color: var(--text-muted);
+    }
+
+    .content {
+      flex: 1;
+      overflow-y: auto;
+      padding: 24px;
+    }
+
+    .content-header {
+      margin-bottom: 24px;
+    }
+
+    .content-title {
+      font-size: 1.25rem;
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+
+    .content-meta {
+      color: var(--text-muted);
+      font-size: 14px;
+    }
+
+    .section {
+      margin-bottom: 32px;
+    }
+
+    .section-title {
+      font-size: 1.1rem;
+      font-weight: 600;
+      margin-bottom: 12px;
+      padding-bottom: 8px;
+      border-bottom: 2px solid var(--border);
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      background: white;
+      border-radius: 8px;
+      overflow: hidden;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+    }
+
+    th {
+      background: var(--hover-bg);
+      padding: 12px;
+      text-align: left;
+      font-weight: 600;
+      font-size: 13px;
+      border-bottom: 2px solid var(--border);
+    }
+
+    td {
+      padding: 12px;
+      border-bottom: 1px solid var(--border);
+      font-size: 14px;
+    }
+
+    tr:last-child td {
+      border-bottom: none;
+    }
+
+    tr:hover {
+      background: var(--hover-bg);
+    }
+
+    .price {
+      font-weight: 600;
+      color: var(--primary);
+    }
+
+    .badge-outlier {
+      display: inline-block;
+      background: #fee2e2;
+      color: #b91c1c;
+      font-size: 11px;
+      font-weight: 700;
+      padding: 1px 5px;
+      border-radius: 3px;
+      vertical-align: middle;
+    }
+
+    .badge-vendor {
+      display: inline-block;
+      background: #ffedd5;
+      color: #c2410c;
+      font-size: 11px;
+      font-weight: 700;
+      padding: 1px 5px;
+      border-radius: 3px;
+      vertical-align: middle;
+    }
+
+    .badge-hq {
+      display: inline-block;
+      background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
+      color: white;
+      font-size: 11px;
+      font-weight: 700;
+      padding: 2px 6px;
+      border-radius: 3px;
+      vertical-align: middle;
+      box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+    }
+
+    .stats-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+      gap: 16px;
+    }
+
+    .stats-card {
+      background: white;
+      border-radius: 8px;
+      padding: 12px 16px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+    }
+
+    .stats-card-title {
+      font-size: 13px;
+      font-weight: 600;
+      color: var(--text-muted);
+      margin-bottom: 8px;
+    }
+
+    .stats-card table {
+      box-shadow: none;
+    }
+
+    .stats-card th, .stats-card td {
+      padding: 4px 8px;
+      font-size: 12px;
+      text-align: right;
+    }
+
+    .stats-card th:first-child, .stats-card td:first-child {
+      text-align: left;
+      color: var(--text-muted);
+    }
+
+    .empty-state {
+      text-align: center;
+      padding: 48px 24px;
+      color: var(--text-muted);
+    }
+
+    .loading {
+      text-align: center;
+      padding: 24px;
+      color: var(--text-muted);
+    }
+
+    .table-wrapper {
+      overflow-x: auto;
+      -webkit-overflow-scrolling: touch;
+    }
+
+    /* モバイル対応 */
+    @media (max-width: 768px) {
+      .header {
+        flex-direction: column;
+        gap: 12px;
+        align-items: stretch;
+      }
+
+      h1 {
+        font-size: 1.25rem;
+      }
+
+      .header-right {
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .header-right select {
+        width: 100%;
+      }
+
+      .main-container {
+        flex-direction: column;
+      }
+
+      .sidebar {
+        width: 100%;
+        max-height: 40vh;
+        border-right: none;
+        border-bottom: 1px solid var(--border);
+      }
+
+      .content {
+        padding: 16px;
+      }
+
+      .content-title {
+        font-size: 1.1rem;
+      }
+
+      .section-title {
+        font-size: 1rem;
+      }
+
+      table {
+        font-size: 12px;
+      }
+
+      th, td {
+        padding: 8px 6px;
+      }
+
+      .item {
+        padding: 10px 12px;
+      }
+    }
+
+    @media (max-width: 480px) {
+      .header {
+        padding: 12px 16px;
+      }
+
+      .content {
+        padding: 12px;
+      }
+
+      h1 {
+        font-size: 1.1rem;
+      }
+
+      table {
+        font-size: 11px;
+      }
+
+      th, td {
+        padding: 6px 4px;
+      }
+
+      .badge-hq {
+        font-size: 10px;
+        padding: 1px 4px;
+      }
+    }
+
+    /* グラフ用スタイル */
+    .chart-container {
+      background: white;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+      margin-top: 16px;
+    }
+
+    .chart-wrapper {
+      position: relative;
+      height: 400px;
+      width: 100%;
+    }
+
+    @media (max-width: 768px) {
+      .chart-wrapper {
+        height: 300px;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>FFXIV マーケット検索</h1>
+    <div class="header-right">
+      <label>データセンター:</label>
+      <select id="dcSelect">
+        <option value="">全エリア</option>
+      </select>
+      <label>ワールド:</label>
+      <select id="worldSelect">
+        <option value="">全ワールド</option>
+      </select>
+      <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+        <input type="checkbox" id="hqOnly" style="cursor: pointer;">
+        <span>HQのみ</span>
+      </label>
+      <button class="header-button" onclick="showShoppingList()">買い物リスト (<span id="shoppingCount">0</span>)</button>
+      <button class="header-button" onclick="showRetainerDashboard()">リテイナー監視</button>
+      <button class="header-button" onclick="showVendorArbitrage()">NPC販売品</button>
+      <button class="header-button" onclick="showCurrencyExchange()">通貨交換</button>
+      <button class="header-button" onclick="showScannerDashboard()">相場スキャン</button>
+    </div>
+  </div>
+
+  <div class="main-container">
+    <div class="sidebar">
+      <div class="search-box">
+        <input type="text" id="searchInput" placeholder="アイテム名で検索..." />
+      </div>
+      <div class="item-list" id="itemList">
+        <div class="empty-state">アイテムを検索してください</div>
+      </div>
+    </div>
+
+    <div class="content" id="content">
+      <div class="empty-state">
+        左側のリストからアイテムを選択してください
+      </div>
+    </div>
+  </div>
+
+  <script>
+    let searchResults = [];
+    let selectedItem = null;
+    let debounceTimer = null;
+    let worldData = { regions: [], dataCenters: [], worlds: [] };
+
+    const searchInput = document.getElementById('searchInput');
+    const dcSelect = document.getElementById('dcSelect');
+    const worldSelect = document.getElementById('worldSelect');
+    const hqOnly = document.getElementById('hqOnly');
+    const itemList = document.getElementById('itemList');
+    const content = document.getElementById('content');
+
+    // 初期化：ワールド/DCデータを取得
+    (async function init() {
+      try {
+        const response = await fetch('/api/worlds');
+        const data = await response.json();
+
+        // リージョン → DC → ワールド の構成を平坦化して保持
+        worldData.regions = data.regions.map(r => r.name);
+        worldData.dataCenters = data.regions.flatMap(r => r.dataCenters.map(dc => ({ name: dc.name, region: r.name })));
+        worldData.worlds = data.regions.flatMap(r => r.dataCenters.flatMap(dc => dc.worlds.map(w => ({
+          name: w.name,
+          dc: dc.name,
+          region: r.name
+        }))));
+
+        // データセンタープルダウンを設定（リージョンごとにグループ化）
+        data.regions.forEach(r => {
+          const group = document.createElement('optgroup');
+          group.label = r.name;
+
+          const regionOption = document.createElement('option');
+          regionOption.value = r.name;
+          regionOption.textContent = \`\${r.name} (全DC)\`;
+          group.appendChild(regionOption);
+
+          r.dataCenters.forEach(dc => {
+            const option = document.createElement('option');
+            option.value = dc.name;
+            option.textContent = dc.name;
+            group.appendChild(option);
+          });
+          dcSelect.appendChild(group);
+        });
+
+      } catch (error) {
+        console.error('Failed to load world data:', error);
+      }
+    })();
+
+    // データセンター選択時にワールドを絞り込み
+    dcSelect.addEventListener('change', () => {
+      const selected = dcSelect.value;
+      worldSelect.innerHTML = '<option value="">全ワールド</option>';
+
+      if (selected) {
+        // DC またはリージョンに属するワールドのみ表示
+        const filteredWorlds = worldData.worlds.filter(w => w.dc === selected || w.region === selected);
+        const isRegion = worldData.regions.includes(selected);
+        filteredWorlds.forEach(w => {
+          const option = document.createElement('option');
+          option.value = w.name;
+          option.textContent = isRegion ? \`\${w.name} (\${w.dc})\` : w.name;
+          worldSelect.appendChild(option);
+        });
+      } else {
+        // 全エリア選択時は全ワールド表示
+        worldData.worlds.forEach(w => {
+          const option = document.createElement('option');
+          option.value = w.name;
+          option.textContent = \`\${w.name} (\${w.dc})\`;
+          worldSelect.appendChild(option);
+        });
+      }
+
+      // 選択中のアイテムがあれば再検索
+      if (selectedItem) {
+        loadMarketData();
+      }
+    });
+
+    // ワールド選択時に再検索
+    worldSelect.addEventListener('change', () => {
+      if (selectedItem) {
+        loadMarketData();
+      }
+    });
+
+    // HQ絞り込み変更時に再検索
+    hqOnly.addEventListener('change', () => {
+      if (selectedItem) {
+        loadMarketData();
+      }
+    });
+
+    // 検索入力のデバウンス
+    searchInput.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        const query = searchInput.value.trim();
+        if (query.length >= 2) {
+          searchItems(query);
+        } else {
+          itemList.innerHTML = '<div class="empty-state">2文字以上入力してください</div>';
+          searchResults = [];
+        }
+      }, 300);
+    });
+
+    // アイテム検索
+    async function searchItems(query) {
+      itemList.innerHTML = '<div class="loading">検索中...</div>';
+      console.log('[Frontend] アイテム検索開始:', query);
+
+      try {
+        const url = \`/api/items?q=\${encodeURIComponent(query)}\`;
+        console.log('[Frontend] アイテム検索URL:', url);
+        
+        const response = await fetch(url);
+        console.log('[Frontend] アイテム検索API レスポンス:', response.status, response.ok);
+        
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error('[Frontend] アイテム検索API エラー:', response.status, errorText);
+          throw new Error('Item search API error: ' + response.status + ' - ' + errorText);
+        }
+        
+        const data = await response.json();
+        console.log('[Frontend] アイテム検索結果:', data.items?.length || 0, '件');
+
+        if (data.items && data.items.length > 0) {
+          searchResults = data.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            category: item.category || '不明',
+            iconUrl: item.iconUrl || '',
+            marketable: item.marketable
+          }));
+          console.log('[Frontend] アイテム検索完了:', searchResults.length, '件');
+          displayItemList();
+        } else {
+          console.log('[Frontend] アイテム検索結果なし:', query);
+          itemList.innerHTML = '<div class="empty-state">該当なし</div>';
+          searchResults = [];
+        }
+      } catch (error) {
+        console.error('[Frontend] アイテム検索エラー:', query, error.message, error);
+        itemList.innerHTML = '<div class="empty-state">エラーが発生しました</div>';
+      }
+    }
+
+    // アイテムリスト表示
+    function displayItemList() {
+      itemList.innerHTML = searchResults.map((item, idx) => {
+        return \`
+          <div class="item \${selectedItem && selectedItem.id === item.id ? 'selected' : ''}" onclick="selectItem(\${idx})">
+            <div style="display: flex; align-items: center; gap: 8px;">
+              \${item.iconUrl ? \`<img src="\${item.iconUrl}" alt="" style="width: 32px; height: 32px; flex-shrink: 0;">\` : ''}
+              <div style="flex: 1; min-width: 0;">
+                <div class="item-name">\${escapeHtml(item.name)}</div>
+                <div class="item-meta">\${escapeHtml(item.category)}\${item.marketable ? '' : '（取引不可）'}</div>
+              </div>
+            </div>
+          </div>
+        \`;
+      }).join('');
+    }
+
+    // アイテム選択
+    async function selectItem(index) {
+      selectedItem = searchResults[index];
+      displayItemList();
+      resetListingState();
+      await loadMarketData();
+    }
+
+    // 出品一覧の表示状態（ページ・並び替え・価格範囲）
+    const listingState = {};
+
+    function resetListingState() {
+      Object.assign(listingState, { page: 1, perPage: 20, sort: 'price_asc', minPrice: '', maxPrice: '', materia: '', dyed: '', maxAge: '' });
+    }
+    resetListingState();
+
+    // 外れ値（釣り出品・放置された高値）の扱い。exclude: 集計から除いて薄く表示 / hide: 非表示 / include: 集計に含める
+    let outlierMode = 'exclude';
+
+    function changeOutlierMode(value) {
+      outlierMode = value;
+      loadMarketData();
+    }
+
+    // 選択中の条件からマーケットAPIのURLを組み立てる
+    function buildMarketUrl() {
+      // ワールドが選択されている場合はワールド名、データセンターのみの場合はDC名を使用
+      const world = worldSelect.value.trim() || dcSelect.value.trim() || '';
+      const params = new URLSearchParams({
+        world,
+        hq: hqOnly.checked ? 'true' : 'false',
+        page: String(listingState.page),
+        per_page: String(listingState.perPage),
+        sort: listingState.sort,
+        outliers: outlierMode,
+      });
+      if (listingState.minPrice !== '') params.set('min_price', listingState.minPrice);
+      if (listingState.maxPrice !== '') params.set('max_price', listingState.maxPrice);
+      if (listingState.materia !== '') params.set('materia', listingState.materia);
+      if (listingState.dyed !== '') params.set('dyed', listingState.dyed);
+      if (listingState.maxAge !== '') params.set('max_age', listingState.maxAge);
+      return \`/api/market/\${selectedItem.id}?\${params}\`;
+    }
+
+    // マーケットデータ取得
+    async function loadMarketData() {
+      if (!selectedItem) return;
+
+      content.innerHTML = '<div class="loading">マーケットデータ読み込み中...</div>';
+
+      // 検索条件が変わった場合は出品一覧を1ページ目から表示
+      listingState.page = 1;
+      const apiUrl = buildMarketUrl();
+      
+      console.log('[Frontend] マーケットデータ取得開始:', selectedItem.name, 'world:', worldSelect.value || dcSelect.value);
+      console.log('[Frontend] マーケットデータAPI URL:', apiUrl);
+
+      try {
+        const response = await fetch(apiUrl);
+        console.log('[Frontend] マーケットデータAPI レスポンス:', response.status, response.ok);
+        
+        const data = await response.json();
+
+        if (!response.ok) {
+          console.error('[Frontend] マーケットデータAPI エラー:', response.status, data);
+          content.innerHTML = \`<div class="empty-state">\${data.message || 'エラーが発生しました'}</div>\`;
+          return;
+        }
+
+        console.log('[Frontend] マーケットデータ受信:', data.listings?.length || 0, '件の出品,', data.recentHistory?.length || 0, '件の履歴');
+        displayMarketData(data);
+      } catch (error) {
+        console.error('[Frontend] マーケットデータ取得エラー:', selectedItem.name, error.message, error);
+        content.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    // マーケットデータ表示
+    function displayMarketData(data) {
+      const recentSales = data.recentHistory || [];
+
+      // 現在選択されているDC/ワールド情報を取得
+      const selectedDC = dcSelect.options[dcSelect.selectedIndex].text;
+      const selectedWorld = worldSelect.options[worldSelect.selectedIndex].text;
+
+      let locationInfo = '';
+      if (worldSelect.value) {
+        // ワールドが選択されている場合
+        const worldObj = worldData.worlds.find(w => w.name === worldSelect.value);
+        locationInfo = worldObj ? \`\${worldObj.dc} - \${worldObj.name}\` : selectedWorld;
+      } else if (worldData.regions.includes(dcSelect.value)) {
+        // リージョンが選択されている場合
+        locationInfo = \`\${dcSelect.value} (全DC)\`;
+      } else if (dcSelect.value) {
+        // DCのみ選択されている場合
+        locationInfo = \`\${selectedDC} (全ワールド)\`;
+      } else {
+        // 何も選択されていない場合はデフォルトのリージョン全体
+        locationInfo = \`\${data.region} (全DC)\`;
+      }
+
+      // レスポンスのDC構成から DC → ワールド のグループを作成
+      const dcGroups = {};
+      (data.dataCenters || []).forEach(dc => {
+        dcGroups[dc.name] = dc.worlds;
+      });
+      const dcNames = Object.keys(dcGroups);
+
+      let html = \`
+        <div class="content-header">
+          <div class="content-title">\${escapeHtml(data.itemName)}</div>
+          <div class="content-meta">
+            検索エリア: \${escapeHtml(locationInfo)} | 出品数: \${data.total}件
+            <button onclick="addToShoppingList()" style="margin-left: 12px; padding: 3px 10px; font-size: 12px; cursor: pointer;">買い物リストに追加</button>
+          </div>
+          \${data.stale ? \`
+            <div style="margin-top: 8px; padding: 8px 12px; border-radius: 6px; background: #fef3c7; color: #92400e; font-size: 13px;">
+              ⚠ マーケットデータを取得できなかったため、\${new Date(data.fetchedAt).toLocaleString()} 時点のデータを表示しています
+            </div>
+          \` : ''}
+          \${data.vendorPrice !== null ? \`
+            <div style="margin-top: 8px; padding: 8px 12px; border-radius: 6px; background: #ffedd5; color: #9a3412; font-size: 13px;">
+              NPCから \${data.vendorPrice.toLocaleString()} Gil で購入できます
+              \${data.vendorShops.length > 0 ? \`（\${data.vendorShops.map(shop => escapeHtml(shop.name || \`ショップ#\${shop.shopId}\`)).join('、')}）\` : ''}
+              \${data.aboveVendorCount > 0 ? \`<br>NPCの販売価格より高いNQの出品が \${data.aboveVendorCount}件 あります\` : ''}
+            </div>
+          \` : ''}
+        </div>
+      \`;
+
+      // 統計サマリー
+      html += renderStatsCard(data.stats);
+
+      // 出品一覧（ページング・並び替え・価格範囲はサーバー側で処理）と、その横に出品する場合の推奨価格
+      html += \`
+        <div class="section">
+          <div class="section-title">現在の出品</div>
+          <div style="display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start;">
+            <div id="listingsPanel" style="flex: 1 1 560px; min-width: 0;">\${renderListingsPanel(data)}</div>
+            <div style="flex: 0 1 300px; min-width: 260px;">
+              <div style="font-weight: 600; margin-bottom: 8px;">
+                出品する場合の推奨価格
+                <label style="margin-left: 8px; font-size: 12px; font-weight: 400;">数量 <input type="number" id="suggestQuantity" min="1" max="9999" value="1" onchange="loadPriceSuggestion()" style="width: 60px; padding: 2px 4px;"></label>
+              </div>
+              <div id="suggestPanel"><div class="loading">計算中...</div></div>
+            </div>
+          </div>
+        </div>
+      \`;
+
+      // 出品手取り計算（選択したワールドの都市別税率で計算）
+      const defaultTaxWorld = worldSelect.value || (dcNames.length > 0 ? dcGroups[dcNames[0]][0] : '');
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            出品手取り計算
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              <label>単価 <input type="number" id="taxCalcPrice" min="1" value="\${data.stats?.listings?.all?.min || ''}" style="width: 100px; padding: 3px 4px;"></label>
+              <label style="margin-left: 8px;">数量 <input type="number" id="taxCalcQuantity" min="1" max="9999" value="1" style="width: 70px; padding: 3px 4px;"></label>
+              <label style="margin-left: 8px;">ワールド
+                <select id="taxCalcWorld" style="padding: 3px 4px;">
+                  \${dcNames.map(dc => \`
+                    <optgroup label="\${escapeHtml(dc)}">
+                      \${dcGroups[dc].map(w => \`<option value="\${escapeHtml(w)}" \${w === defaultTaxWorld ? 'selected' : ''}>\${escapeHtml(w)}</option>\`).join('')}
+                    </optgroup>
+                  \`).join('')}
+                </select>
+              </label>
+              <button onclick="calculateNetProceeds()" style="margin-left: 4px; padding: 4px 10px; cursor: pointer;">計算</button>
+            </div>
+          </div>
+          <div id="taxCalcPanel">
+            <div style="font-size: 13px; color: var(--text-muted);">指定した価格で出品して売れた場合に、リテイナーの所属都市ごとに受け取れる金額を表示します</div>
+          </div>
+        </div>
+      \`;
+
+      // ワールド間の価格差（アービトラージ）
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            ワールド間の価格差
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              <label>数量 <input type="number" id="arbQuantity" min="1" max="9999" value="1" style="width: 70px; padding: 3px 4px;"></label>
+              <label style="margin-left: 8px;">アイテムID <input type="text" id="arbItems" value="\${data.itemId}" placeholder="カンマ区切りで複数指定" style="width: 180px; padding: 3px 4px;"></label>
+              <button onclick="loadArbitrage()" style="margin-left: 4px; padding: 4px 10px; cursor: pointer;">計算</button>
+            </div>
+          </div>
+          <div id="arbitragePanel"><div class="loading">計算中...</div></div>
+        </div>
+      \`;
+
+      // 製作コスト（レシピの展開は上流の呼び出しが多いため、ボタンを押したときのみ計算）
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            製作コスト
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              <label>作る数 <input type="number" id="recipeQuantity" min="1" max="999" value="1" style="width: 70px; padding: 3px 4px;"></label>
+              <button onclick="loadRecipe()" style="margin-left: 4px; padding: 4px 10px; cursor: pointer;">製作コストを計算</button>
+            </div>
+          </div>
+          <div id="recipePanel">
+            <div style="font-size: 13px; color: var(--text-muted);">素材を「買う」場合と「作る」場合の費用を段階ごとに比較します</div>
+          </div>
+        </div>
+      \`;
+
+      // 使用先（このアイテムを素材にするレシピ）
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            使用先
+            <button onclick="loadUsedIn()" style="margin-left: 16px; padding: 4px 10px; font-size: 12px; font-weight: 400; cursor: pointer;">使用先を調べる</button>
+          </div>
+          <div id="usedInPanel">
+            <div style="font-size: 13px; color: var(--text-muted);">このアイテムを素材に使う製品と、その売れ行きから見た素材1個あたりの価値を表示します</div>
+          </div>
+        </div>
+      \`;
+
+      // 各ワールドの平均価格を計算（列の色分けに使用）
+      const worldTop10 = data.worldTop10 || {};
+      const worldFreshness = data.worldFreshness || {};
+      const worldAverages = {};
+      Object.values(dcGroups).flat().forEach(worldName => {
+        // 外れ値の取引は色分けの平均に含めない（集計に含める設定の場合を除く）
+        const prices = (worldTop10[worldName] || [])
+          .filter(h => data.outliers === 'include' || !h.outlier)
+          .map(h => h.price);
+        if (prices.length > 0) {
+          worldAverages[worldName] = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+        }
+      });
+
+      // 全体の最高・最低平均価格を取得
+      const avgValues = Object.values(worldAverages);
+      const maxAvg = Math.max(...avgValues);
+      const minAvg = Math.min(...avgValues);
+
+      // 平均価格に応じて背景色を計算する関数
+      const getBackgroundColor = (avg) => {
+        if (avgValues.length === 1 || maxAvg === minAvg) return '';
+        const ratio = (avg - minAvg) / (maxAvg - minAvg);
+        if (ratio >= 0.5) {
+          // 高い: 赤系（中央より高い）
+          const intensity = ratio * 0.4; // 0 ~ 0.4の範囲
+          return \`rgba(255, 200, 200, \${intensity})\`;
+        } else {
+          // 安い: 青系（中央より低い）
+          const intensity = (1 - ratio) * 0.4; // 0 ~ 0.4の範囲
+          return \`rgba(200, 220, 255, \${intensity})\`;
+        }
+      };
+
+      // 取引履歴のあるワールドのみを DC ごとに抽出
+      const visibleGroups = dcNames
+        .map(dcName => ({ dcName, worlds: dcGroups[dcName].filter(w => worldTop10[w]) }))
+        .filter(g => g.worlds.length > 0);
+
+      // DC表示状態は描画ごとにリセット
+      Object.keys(dcVisibility).forEach(dc => delete dcVisibility[dc]);
+      dcNames.forEach(dc => { dcVisibility[dc] = true; });
+
+      // リージョン全ワールドTop10取引履歴（DC単位でグルーピング）
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            \${escapeHtml(data.region || '')} 全ワールド 過去の取引実績 Top10
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              \${dcNames.map((dcName, dcIndex) => \`
+                <button onclick="toggleDC(\${dcIndex})" id="btnDC\${dcIndex}" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">\${escapeHtml(dcName)}</button>
+              \`).join('')}
+            </div>
+          </div>
+          \${visibleGroups.length > 0 ? \`
+            <div class="table-wrapper">
+              <table style="font-size: 11px;">
+                <thead>
+                  <tr>
+                    <th style="width: 50px; text-align: center; position: sticky; left: 0; background: var(--hover-bg); z-index: 10;">順位</th>
+                    \${visibleGroups.map((g, groupIndex) => {
+                      const isLastDC = groupIndex === visibleGroups.length - 1;
+                      const borderRight = isLastDC ? '' : 'border-right: 3px solid var(--border);';
+                      return \`<th colspan="\${g.worlds.length}" class="dc-header dc-\${dcNames.indexOf(g.dcName)}" style="text-align: center; background: var(--selected-bg); font-size: 13px; font-weight: 700; padding: 6px; \${borderRight}">\${escapeHtml(g.dcName)}</th>\`;
+                    }).join('')}
+                  </tr>
+                  <tr>
+                    <th style="width: 50px; text-align: center; position: sticky; left: 0; background: var(--hover-bg); z-index: 10;"></th>
+                    \${visibleGroups.map(g => g.worlds.map((worldName, index) => {
+                      const bgColor = worldAverages[worldName] ? getBackgroundColor(worldAverages[worldName]) : '';
+                      const isLastInDC = index === g.worlds.length - 1;
+                      const borderRight = isLastInDC ? 'border-right: 3px solid var(--border);' : '';
+                      const freshness = worldFreshness[worldName] || { age: null, stale: true };
+                      return \`
+                        <th class="world-header dc-\${dcNames.indexOf(g.dcName)}" style="text-align: center; padding: 4px 2px; min-width: 85px; font-size: 10px; background: \${bgColor}; \${borderRight}" title="最終アップロード: \${formatAge(freshness.age)}">
+                          \${escapeHtml(worldName)}
+                          <div style="font-size: 9px; font-weight: 400; color: \${freshness.stale ? '#b45309' : 'var(--text-muted)'};">\${freshness.stale ? '⚠ ' : ''}\${formatAge(freshness.age)}</div>
+                        </th>
+                      \`;
+                    }).join('')).join('')}
+                  </tr>
+                </thead>
+                <tbody>
+                  \${Array.from({length: 10}, (_, rank) => {
+                    const cells = visibleGroups.map(g => g.worlds.map((worldName, index) => {
+                      const item = worldTop10[worldName][rank];
+                      const bgColor = worldAverages[worldName] ? getBackgroundColor(worldAverages[worldName]) : '';
+                      const isLastInDC = index === g.worlds.length - 1;
+                      const borderRight = isLastInDC ? 'border-right: 3px solid var(--border);' : '';
+                      const dcClass = \`dc-\${dcNames.indexOf(g.dcName)}\`;
+
+                      if (!item) {
+                        return \`<td class="world-cell \${dcClass}" style="text-align: center; color: var(--text-muted); padding: 4px 2px; background: \${bgColor}; \${borderRight}">-</td>\`;
+                      }
+
+                      const date = new Date(item.timestamp * 1000);
+                      const dateStr = \`\${date.getMonth() + 1}/\${date.getDate()} \${String(date.getHours()).padStart(2, '0')}:\${String(date.getMinutes()).padStart(2, '0')}\`;
+
+                      return \`
+                        <td class="world-cell \${dcClass}" style="text-align: center; padding: 4px 2px; line-height: 1.4; background: \${bgColor}; \${borderRight} \${item.outlier && outlierMode !== 'include' ? 'opacity: 0.4;' : ''}" \${item.outlier ? 'title="外れ値の可能性がある取引"' : ''}>
+                          <div style="font-weight: 700; color: var(--primary); font-size: 11px;">\${item.price.toLocaleString()}</div>
+                          <div style="font-size: 9px; color: var(--text-muted);">\${item.quantity}個</div>
+                          <div style="font-size: 8px; color: var(--text-muted);">\${dateStr}</div>
+                        </td>
+                      \`;
+                    }).join('')).join('');
+
+                    return \`
+                      <tr>
+                        <td style="text-align: center; font-weight: 600; position: sticky; left: 0; background: white; z-index: 5;">\${rank + 1}</td>
+                        \${cells}
+                      </tr>
+                    \`;
+                  }).join('')}
+                </tbody>
+              </table>
+            </div>
+            <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted); text-align: center;">
+              ※ 横スクロールで全ワールドを確認できます｜DC単位でグルーピング表示｜⚠ は最終アップロードから\${Math.round(data.staleUploadAge / 3600)}時間以上経過したワールド
+            </div>
+          \` : '<div class="empty-state">取引履歴がありません</div>'}
+        </div>
+      \`;
+
+      // 価格推移グラフセクション（集計済みデータを /api/history から取得）
+      html += \`
+        <div class="section">
+          <div class="section-title">
+            価格推移
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              <button onclick="updatePriceChart('all')" data-chart-dc="all" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">全体</button>
+              \${dcNames.map(dcName => \`
+                <button onclick="updatePriceChart(this.dataset.chartDc)" data-chart-dc="\${escapeHtml(dcName)}" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: white; color: var(--primary); border-radius: 4px;">\${escapeHtml(dcName)}</button>
+              \`).join('')}
+              <select id="chartRange" onchange="updatePriceChart()" style="margin-left: 8px; font-size: 11px; padding: 3px 4px;">
+                <option value="7d">7日</option>
+                <option value="30d">30日</option>
+                <option value="90d" selected>90日</option>
+                <option value="180d">6か月</option>
+                <option value="365d">1年</option>
+                <option value="all">全期間</option>
+              </select>
+              <select id="chartGranularity" onchange="updatePriceChart()" style="font-size: 11px; padding: 3px 4px;">
+                <option value="hour">時間別</option>
+                <option value="day" selected>日別</option>
+                <option value="week">週別</option>
+              </select>
+            </div>
+          </div>
+          <div class="chart-container">
+            <div id="chartStatus" class="loading" style="display: none;"></div>
+            <div class="chart-wrapper">
+              <canvas id="priceChart"></canvas>
+            </div>
+          </div>
+          <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted); text-align: center;">
+            ※ データセンター単位で期間ごとの平均・中央値・最低・最高価格を表示｜ボタンをクリックしてDCを切り替え
+          </div>
+        </div>
+      \`;
+
+      content.innerHTML = html;
+      currentMarketData = data;
+      loadArbitrage();
+      loadPriceSuggestion();
+
+      // DOMが更新された後にグラフを初期化
+      setTimeout(() => {
+        initPriceChart(data);
+      }, 100);
+    }
+
+    // 出品一覧パネル（並び替え可能な列・価格範囲フィルター・ページング）
+    function renderListingsPanel(data) {
+      const listings = data.listings || [];
+
+      // 列見出し: [表示名, 並び替えキー（null は並び替え不可）]
+      const columns = [
+        ['ワールド', 'world'],
+        ['価格', 'price'],
+        ['数量', 'quantity'],
+        ['品質', null],
+        ['マテリア・染色', null],
+        ['合計', 'total'],
+        ['手取り', null],
+        ['リテイナー', null],
+        ['更新', 'recency'],
+      ];
+      const sortIndicator = (key) => {
+        if (key === 'recency') {
+          return listingState.sort === 'recent' ? ' ▼' : listingState.sort === 'oldest' ? ' ▲' : '';
+        }
+        return listingState.sort === \`\${key}_asc\` ? ' ▲' : listingState.sort === \`\${key}_desc\` ? ' ▼' : '';
+      };
+
+      return \`
+        <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 12px; font-size: 13px;">
+          <label>価格:</label>
+          <input type="number" id="listingMinPrice" min="0" placeholder="下限" value="\${escapeHtml(listingState.minPrice)}" style="width: 110px; padding: 4px 6px;">
+          <span>〜</span>
+          <input type="number" id="listingMaxPrice" min="0" placeholder="上限" value="\${escapeHtml(listingState.maxPrice)}" style="width: 110px; padding: 4px 6px;">
+          <button onclick="applyPriceFilter()" style="padding: 4px 10px; cursor: pointer;">適用</button>
+          <button onclick="clearPriceFilter()" style="padding: 4px 10px; cursor: pointer;">クリア</button>
+          <label style="margin-left: 8px;">マテリア:</label>
+          <select onchange="changeListingFilter('materia', this.value)" style="padding: 3px 4px;">
+            \${[['', 'すべて'], ['none', 'なし'], ['any', 'あり']].map(([value, label]) => \`<option value="\${value}" \${value === listingState.materia ? 'selected' : ''}>\${label}</option>\`).join('')}
+          </select>
+          <label>染色:</label>
+          <select onchange="changeListingFilter('dyed', this.value)" style="padding: 3px 4px;">
+            \${[['', 'すべて'], ['false', 'なし'], ['true', 'あり']].map(([value, label]) => \`<option value="\${value}" \${value === listingState.dyed ? 'selected' : ''}>\${label}</option>\`).join('')}
+          </select>
+          <label>鮮度:</label>
+          <select onchange="changeListingFilter('maxAge', this.value)" style="padding: 3px 4px;">
+            \${[['', 'すべて'], ['6h', '6時間以内'], ['24h', '24時間以内'], ['3d', '3日以内']].map(([value, label]) => \`<option value="\${value}" \${value === listingState.maxAge ? 'selected' : ''}>\${label}</option>\`).join('')}
+          </select>
+          <span style="margin-left: auto;">
+            外れ値:
+            <select onchange="changeOutlierMode(this.value)" style="padding: 3px 4px;">
+              \${[['exclude', '薄く表示'], ['hide', '非表示'], ['include', '集計に含める']].map(([value, label]) => \`<option value="\${value}" \${value === outlierMode ? 'selected' : ''}>\${label}</option>\`).join('')}
+            </select>
+          </span>
+          <span>
+            表示件数:
+            <select onchange="changeListingsPerPage(this.value)" style="padding: 3px 4px;">
+              \${[10, 20, 50, 100].map(n => \`<option value="\${n}" \${n === data.perPage ? 'selected' : ''}>\${n}</option>\`).join('')}
+            </select>
+          </span>
+        </div>
+        \${listings.length > 0 ? \`
+          <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                \${columns.map(([label, key]) => key
+                  ? \`<th onclick="sortListings('\${key}')" style="cursor: pointer; white-space: nowrap;">\${label}\${sortIndicator(key)}</th>\`
+                  : \`<th>\${label}</th>\`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              \${listings.map(l => {
+                // ワールド名からDCを取得
+                const worldObj = worldData.worlds.find(w => w.name === l.worldName);
+                const dcName = worldObj ? worldObj.dc : '';
+                const worldDisplay = dcName ? \`\${dcName} - \${l.worldName}\` : l.worldName;
+                const reviewed = new Date(l.lastReviewTime * 1000);
+                const reviewedStr = \`\${reviewed.getMonth() + 1}/\${reviewed.getDate()} \${String(reviewed.getHours()).padStart(2, '0')}:\${String(reviewed.getMinutes()).padStart(2, '0')}\`;
+
+                return \`
+                  <tr style="\${l.outlier ? 'opacity: 0.45;' : ''}\${l.aboveVendor ? 'background: #fff7ed;' : ''}">
+                    <td>
+                      \${escapeHtml(worldDisplay || '-')}
+                      <div style="font-size: 11px; color: \${l.staleWorld ? '#b45309' : 'var(--text-muted)'};" title="ワールドの最終アップロードからの経過時間">
+                        \${l.staleWorld ? '⚠ ' : ''}\${formatAge(l.uploadAge)}
+                      </div>
+                    </td>
+                    <td>
+                      \${l.price.toLocaleString()} Gil
+                      \${l.aboveVendor ? \`<span class="badge-vendor" title="NPCから \${data.vendorPrice.toLocaleString()} Gil で購入できます">NPCより割高</span>\` : ''}
+                      \${l.outlier ? \`<span class="badge-outlier" title="\${l.outlier === 'low' ? '直近の取引に比べて極端に安い（釣り出品の可能性）' : '直近の取引に比べて極端に高い'}">外れ値</span>\` : ''}
+                      \${l.materia.length > 0 ? \`
+                        <div style="font-size: 11px; color: var(--text-muted);" title="装着マテリアの評価額 \${l.materiaValue.toLocaleString()} Gil\${l.materiaPriced ? '' : '（出品のないマテリアを除く）'}">
+                          実質 \${l.effectivePrice.toLocaleString()} Gil
+                        </div>
+                      \` : ''}
+                    </td>
+                    <td>\${l.quantity}</td>
+                    <td>\${l.hq ? '<span class="badge-hq">HQ</span>' : ''}</td>
+                    <td style="font-size: 11px;">
+                      \${l.materia.map(m => \`
+                        <div title="\${m.param ? \`\${escapeHtml(m.param)} +\${m.value}\` : ''}\${m.price !== null ? \`（最安 \${m.price.toLocaleString()} Gil）\` : ''}">\${escapeHtml(m.name || \`マテリア#\${m.materiaId}\`)}</div>
+                      \`).join('')}
+                      \${l.stainId ? \`<div style="color: var(--text-muted);">染色: \${escapeHtml(l.stain || \`#\${l.stainId}\`)}</div>\` : ''}
+                      \${l.materia.length === 0 && !l.stainId ? '-' : ''}
+                    </td>
+                    <td class="price">\${l.total.toLocaleString()} Gil</td>
+                    <td title="税率 \${Math.round(l.taxRate * 100)}%">\${l.netTotal.toLocaleString()} Gil</td>
+                    <td>
+                      \${escapeHtml(l.retainerName || '-')}
+                      \${l.retainerCity ? \`<span style="font-size: 12px; color: var(--text-muted);">（\${escapeHtml(l.retainerCity)}）</span>\` : ''}
+                    </td>
+                    <td style="font-size: 12px; color: var(--text-muted); white-space: nowrap;">\${reviewedStr}</td>
+                  </tr>
+                \`;
+              }).join('')}
+            </tbody>
+          </table>
+          </div>
+          <div style="display: flex; justify-content: center; align-items: center; gap: 12px; margin-top: 12px; font-size: 13px;">
+            <button onclick="changeListingsPage(-1)" \${data.page <= 1 ? 'disabled' : ''} style="padding: 4px 10px; cursor: pointer;">前へ</button>
+            <span>\${data.page} / \${data.totalPages} ページ（全\${data.total}件）</span>
+            <button onclick="changeListingsPage(1)" \${data.page >= data.totalPages ? 'disabled' : ''} style="padding: 4px 10px; cursor: pointer;">次へ</button>
+          </div>
+        \` : '<div class="empty-state">条件に一致する出品がありません</div>'}
+      \`;
+    }
+
+    // 出品一覧のみを再取得して描画する（グラフ等は再描画しない）
+    async function loadListingsPage() {
+      if (!selectedItem) return;
+      const panel = document.getElementById('listingsPanel');
+      if (!panel) return;
+
+      try {
+        const response = await fetch(buildMarketUrl());
+        const data = await response.json();
+        if (!response.ok) {
+          console.error('[Frontend] 出品一覧API エラー:', response.status, data);
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderListingsPanel(data);
+      } catch (error) {
+        console.error('[Frontend] 出品一覧取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    function sortListings(key) {
+      if (key === 'recency') {
+        listingState.sort = listingState.sort === 'recent' ? 'oldest' : 'recent';
+      } else {
+        listingState.sort = listingState.sort === \`\${key}_asc\` ? \`\${key}_desc\` : \`\${key}_asc\`;
+      }
+      listingState.page = 1;
+      loadListingsPage();
+    }
+
+    function changeListingsPage(delta) {
+      listingState.page = Math.max(1, listingState.page + delta);
+      loadListingsPage();
+    }
+
+    function changeListingsPerPage(value) {
+      listingState.perPage = parseInt(value, 10);
+      listingState.page = 1;
+      loadListingsPage();
+    }
+
+    function applyPriceFilter() {
+      listingState.minPrice = document.getElementById('listingMinPrice').value.trim();
+      listingState.maxPrice = document.getElementById('listingMaxPrice').value.trim();
+      listingState.page = 1;
+      loadListingsPage();
+    }
+
+    function changeListingFilter(key, value) {
+      listingState[key] = value;
+      listingState.page = 1;
+      loadListingsPage();
+    }
+
+    function clearPriceFilter() {
+      listingState.minPrice = '';
+      listingState.maxPrice = '';
+      listingState.page = 1;
+      loadListingsPage();
+    }
+
+    // 統計サマリーカード（出品 / 直近の取引、全体・NQ・HQ別）
+    function renderStatsCard(stats) {
+      if (!stats) return '';
+
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+      const renderTable = (groups, rows) => \`
+        <table>
+          <thead>
+            <tr><th></th><th>全体</th><th>NQ</th><th>HQ</th></tr>
+          </thead>
+          <tbody>
+            \${rows.map(([label, key]) => \`
+              <tr>
+                <td>\${label}</td>
+                <td>\${fmt(groups.all[key])}</td>
+                <td>\${fmt(groups.nq[key])}</td>
+                <td>\${fmt(groups.hq[key])}</td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+      \`;
+
+      const priceRows = [
+        ['最低価格', 'min'],
+        ['25%点', 'p25'],
+        ['中央値', 'median'],
+        ['75%点', 'p75'],
+        ['トリム平均', 'trimmedMean'],
+        ['標準偏差', 'stdDev'],
+        [\`手取り中央値（税\${Math.round(stats.taxRate * 100)}%）\`, 'netMedian'],
+      ];
+
+      const outlierCounts = stats.outliers || {};
+      const outliersNote = (outlierCounts.listings || outlierCounts.history) ? \`
+        <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted);">
+          外れ値: 出品 \${outlierCounts.listings}件 / 取引 \${outlierCounts.history ?? '-'}件\${outlierMode === 'include' ? '（集計に含めています）' : '（集計から除外しています）'}
+        </div>
+      \` : '';
+
+      return \`
+        <div class="section">
+          <div class="section-title">マーケット統計</div>
+          <div class="stats-grid">
+            <div class="stats-card">
+              <div class="stats-card-title">現在の出品</div>
+              \${renderTable(stats.listings, [['出品数', 'count'], ['総数量', 'units'], ...priceRows])}
+            </div>
+            <div class="stats-card">
+              <div class="stats-card-title">直近\${stats.windowDays}日の取引</div>
+              \${stats.history
+                ? renderTable(stats.history, [['取引数', 'count'], ['販売数量', 'unitsSold'], ['販売速度 (個/日)', 'velocity'], ...priceRows])
+                : '<div class="empty-state">取引履歴を取得できませんでした</div>'}
+            </div>
+          </div>
+          \${outliersNote}
+        </div>
+      \`;
+    }
+
+    // 出品手取り計算: ワールドの都市別税率を取得して、売れた場合の受取額を表示
+    async function calculateNetProceeds() {
+      const panel = document.getElementById('taxCalcPanel');
+      if (!panel) return;
+
+      const price = parseInt(document.getElementById('taxCalcPrice').value, 10);
+      const quantity = parseInt(document.getElementById('taxCalcQuantity').value, 10);
+      const world = document.getElementById('taxCalcWorld').value;
+      if (!(price > 0) || !(quantity > 0)) {
+        panel.innerHTML = '<div class="empty-state">単価と数量を1以上で入力してください</div>';
+        return;
+      }
+
+      panel.innerHTML = '<div class="loading">税率を取得中...</div>';
+      try {
+        const response = await fetch(\`/api/tax-rates?world=\${encodeURIComponent(world)}\`);
+        const data = await response.json();
+        if (!response.ok) {
+          console.error('[Frontend] 税率API エラー:', response.status, data);
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+
+        const gross = price * quantity;
+        panel.innerHTML = \`
+          <div style="font-size: 13px; margin-bottom: 8px;">
+            \${escapeHtml(data.world)} で \${price.toLocaleString()} Gil × \${quantity}個（売上 \${gross.toLocaleString()} Gil）を出品した場合
+          </div>
+          <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr><th>リテイナーの所属都市</th><th>税率</th><th>手取り</th></tr>
+            </thead>
+            <tbody>
+              \${data.rates.map(r => \`
+                <tr>
+                  <td>\${escapeHtml(r.city)}</td>
+                  <td>\${Math.round(r.rate * 100)}%</td>
+                  <td class="price">\${Math.floor(gross * (1 - r.rate)).toLocaleString()} Gil</td>
+                </tr>
+              \`).join('')}
+            </tbody>
+          </table>
+          </div>
+          \${data.stale ? \`<div style="margin-top: 8px; font-size: 12px; color: #92400e;">⚠ \${new Date(data.fetchedAt).toLocaleString()} 時点の税率です</div>\` : ''}
+        \`;
+      } catch (error) {
+        console.error('[Frontend] 税率取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    // 選択中のワールド（未選択の場合はサーバーのデフォルトワールド）に出品する場合の推奨価格
+    let suggestRequestSeq = 0;
+
+    async function loadPriceSuggestion() {
+      const panel = document.getElementById('suggestPanel');
+      if (!panel || !currentMarketData) return;
+
+      const params = new URLSearchParams({ quantity: document.getElementById('suggestQuantity').value || '1' });
+      if (worldSelect.value) params.set('world', worldSelect.value);
+      const seq = ++suggestRequestSeq;
+      panel.innerHTML = '<div class="loading">計算中...</div>';
+
+      try {
+        const response = await fetch(\`/api/suggest-price/\${currentMarketData.itemId}?\${params}\`);
+        const data = await response.json();
+        if (seq !== suggestRequestSeq) return;
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderPriceSuggestion(data);
+      } catch (error) {
+        console.error('[Frontend] 推奨価格取得エラー:', error.message, error);
+        if (seq === suggestRequestSeq) {
+          panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+        }
+      }
+    }
+
+    function renderPriceSuggestion(data) {
+      const confidenceLabels = { high: '高', medium: '中', low: '低' };
+      const reasonLabels = {
+        no_competition: '競合する出品なし',
+        no_sales: '取引履歴なし',
+        few_sales: '取引が少ない',
+        below_recent_sales: '直近の取引より安い',
+        above_recent_sales: '直近の取引より高い',
+        crowded: '最安値付近に出品が集中',
+        large_stack: '直近に売れた数量より多い',
+      };
+      const formatHours = (hours) => {
+        if (hours === null) return '不明';
+        if (hours < 1) return '1時間以内';
+        return hours < 48 ? \`約\${Math.round(hours)}時間\` : \`約\${Math.round(hours / 24)}日\`;
+      };
+      const renderQuality = (label, s) => \`
+        <div class="stats-card" style="margin-bottom: 8px;">
+          <div class="stats-card-title">\${label}</div>
+          \${s.suggestedPrice === null ? '<div class="empty-state">出品・取引がないため推奨価格を出せません</div>' : \`
+            <div class="price" style="font-size: 18px;">\${s.suggestedPrice.toLocaleString()} Gil</div>
+            <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 6px;">
+              手取り \${s.netPrice.toLocaleString()} Gil（税\${Math.round(data.taxRate * 100)}%）｜\${s.basis === 'undercut' ? '最安値より1ギル安く' : '直近の取引の中央値'}
+            </div>
+            <div style="font-size: 13px;">売れるまでの目安: \${formatHours(s.expectedHoursToSell)}</div>
+            <div style="font-size: 13px;">信頼度: \${confidenceLabels[s.confidence]}</div>
+            \${s.reasons.length > 0 ? \`<div style="font-size: 12px; color: #92400e; margin-top: 4px;">⚠ \${s.reasons.map(r => reasonLabels[r] || r).join('、')}</div>\` : ''}
+          \`}
+          <div style="font-size: 12px; color: var(--text-muted); margin-top: 6px;">
+            出品 \${s.competition.listings}件（最安値付近 \${s.competition.undercutDepth}件）｜直近\${data.windowDays}日の取引 \${s.sales.count}件・\${s.sales.velocity}個/日
+          </div>
+        </div>
+      \`;
+
+      return \`
+        <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 6px;">\${escapeHtml(data.dataCenter)} - \${escapeHtml(data.world)} に \${data.quantity}個で出品する場合</div>
+        \${renderQuality('NQ', data.nq)}
+        \${renderQuality('HQ', data.hq)}
+      \`;
+    }
+
+    // 表示中のリージョン内で、安いワールドで買って高いワールドで売る場合の見込みを取得
+    let arbitrageRequestSeq = 0;
+
+    async function loadArbitrage() {
+      const panel = document.getElementById('arbitragePanel');
+      if (!panel || !currentMarketData) return;
+
+      const params = new URLSearchParams({
+        items: document.getElementById('arbItems').value.replace(/ /g, ''),
+        quantity: document.getElementById('arbQuantity').value || '1',
+        dc: currentMarketData.region,
+        hq: hqOnly.checked ? 'true' : 'false',
+      });
+      const seq = ++arbitrageRequestSeq;
+      panel.innerHTML = '<div class="loading">計算中...</div>';
+
+      try {
+        const response = await fetch(\`/api/arbitrage?\${params}\`);
+        const data = await response.json();
+        if (seq !== arbitrageRequestSeq) return;
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderArbitrage(data);
+      } catch (error) {
+        console.error('[Frontend] アービトラージ取得エラー:', error.message, error);
+        if (seq === arbitrageRequestSeq) {
+          panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+        }
+      }
+    }
+
+    function renderArbitrage(data) {
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+      const thinLabels = {
+        few_sales: '取引が少ない',
+        low_velocity: '数量に対して売れ行きが遅い',
+        no_sales: '取引履歴なし',
+      };
+      const worldLabel = (side) => side ? \`\${escapeHtml(side.dataCenter || '')} - \${escapeHtml(side.world)}\` : '-';
+
+      const summary = \`
+        <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>アイテム</th><th>買い</th><th>購入単価</th><th>売り</th><th>取引中央値</th><th>見込み利益（売るワールドの税控除後）</th><th>注意</th></tr>
+          </thead>
+          <tbody>
+            \${data.items.map(item => item.error ? \`
+              <tr><td>\${item.itemId}</td><td colspan="6">\${escapeHtml(item.message)}</td></tr>
+            \` : \`
+              <tr>
+                <td>\${escapeHtml(item.itemName)}</td>
+                <td>\${worldLabel(item.buy)}</td>
+                <td>\${item.buy ? \`\${fmt(item.buy.unitCost)} Gil × \${item.buy.units}\` : '必要数量の出品なし'}</td>
+                <td>\${worldLabel(item.sell)}</td>
+                <td>\${item.sell ? \`\${fmt(item.sell.median)} Gil（\${fmt(item.sell.velocity)} 個/日）\` : '-'}</td>
+                <td class="price" style="color: \${item.profit > 0 ? '#16a34a' : 'var(--text-muted)'};"\${item.sell ? \` title="税率 \${Math.round(item.sell.taxRate * 100)}%"\` : ''}>
+                  \${item.profit === null ? '-' : \`\${fmt(item.profit)} Gil（\${Math.round(item.margin * 1000) / 10}%）\`}
+                </td>
+                <td style="font-size: 12px; color: #b45309;">
+                  \${item.thinMarket ? '⚠ ' + item.thinReasons.map(r => thinLabels[r] || r).join(' / ') : ''}
+                </td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+        </div>
+      \`;
+
+      // 表示中のアイテムについてはワールドごとの内訳も表示
+      const current = data.items.find(item => item.itemId === currentMarketData.itemId && !item.error);
+      if (!current) return summary;
+
+      return summary + \`
+        <div style="margin-top: 12px; font-size: 13px; font-weight: 600;">\${escapeHtml(current.itemName)} のワールド別内訳（直近\${data.windowDays}日）</div>
+        <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>ワールド</th><th>購入単価（\${data.quantity}個）</th><th>出品数量</th><th>取引中央値</th><th>取引数</th><th>販売速度 (個/日)</th></tr>
+          </thead>
+          <tbody>
+            \${current.worlds.map(w => \`
+              <tr style="\${w.thinMarket ? 'color: var(--text-muted);' : ''}">
+                <td>\${escapeHtml(w.dataCenter || '')} - \${escapeHtml(w.world)}</td>
+                <td>\${w.buyUnitCost === null ? '-' : fmt(w.buyUnitCost) + ' Gil'}</td>
+                <td>\${fmt(w.availableUnits)}</td>
+                <td>\${w.sellMedian === null ? '-' : fmt(w.sellMedian) + ' Gil'}</td>
+                <td>\${w.sales}</td>
+                <td>\${fmt(w.velocity)}</td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+        </div>
+        <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted);">
+          ※ 灰色のワールドは取引が少ないため売値の見込みが不確かです
+        </div>
+      \`;
+    }
+
+    // 買い物リスト（アイテムと必要数量。ブラウザに保存する）
+    const SHOPPING_STORAGE_KEY = 'ffxivShoppingList';
+    let shoppingList = [];
+    try {
+      shoppingList = JSON.parse(localStorage.getItem(SHOPPING_STORAGE_KEY) || '[]');
+    } catch (error) {
+      shoppingList = [];
+    }
+
+    function saveShoppingList() {
+      localStorage.setItem(SHOPPING_STORAGE_KEY, JSON.stringify(shoppingList));
+      document.getElementById('shoppingCount').textContent = shoppingList.length;
+    }
+    saveShoppingList();
+
+    function addToShoppingList() {
+      if (!currentMarketData) return;
+      if (!shoppingList.some(entry => entry.itemId === currentMarketData.itemId)) {
+        shoppingList.push({ itemId: currentMarketData.itemId, name: currentMarketData.itemName, quantity: 1, hq: false });
+        saveShoppingList();
+      }
+      showShoppingList();
+    }
+
+    function updateShoppingEntry(index, field, value) {
+      const entry = shoppingList[index];
+      if (!entry) return;
+      if (field === 'quantity') {
+        entry.quantity = Math.min(9999, Math.max(1, parseInt(value, 10) || 1));
+      } else if (field === 'hq') {
+        entry.hq = value;
+      }
+      saveShoppingList();
+    }
+
+    function removeShoppingEntry(index) {
+      shoppingList.splice(index, 1);
+      saveShoppingList();
+      showShoppingList();
+    }
+
+    function showShoppingList() {
+      selectedItem = null;
+      if (searchResults.length > 0) displayItemList();
+
+      const scopeName = worldSelect.value || dcSelect.value || '';
+      content.innerHTML = \`
+        <div class="content-header">
+          <div class="content-title">買い物リスト</div>
+          <div class="content-meta">
+            検索エリア: \${escapeHtml(scopeName || 'デフォルトのリージョン全体')} | アイテムの詳細画面から追加できます
+          </div>
+        </div>
+        <div class="section">
+          \${shoppingList.length > 0 ? \`
+            <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>アイテム</th><th>必要数量</th><th>HQのみ</th><th></th></tr>
+              </thead>
+              <tbody>
+                \${shoppingList.map((entry, index) => \`
+                  <tr>
+                    <td>\${escapeHtml(entry.name)}</td>
+                    <td><input type="number" min="1" max="9999" value="\${entry.quantity}" onchange="updateShoppingEntry(\${index}, 'quantity', this.value)" style="width: 90px; padding: 4px 6px;"></td>
+                    <td><input type="checkbox" \${entry.hq ? 'checked' : ''} onchange="updateShoppingEntry(\${index}, 'hq', this.checked)"></td>
+                    <td><button onclick="removeShoppingEntry(\${index})" style="padding: 3px 10px; cursor: pointer;">削除</button></td>
+                  </tr>
+                \`).join('')}
+              </tbody>
+            </table>
+            </div>
+            <div style="display: flex; gap: 8px; align-items: center; margin-top: 12px; font-size: 13px;">
+              <label>計画:</label>
+              <select id="shoppingMode" style="padding: 3px 4px;">
+                <option value="cheapest">合計金額を最小にする</option>
+                <option value="min_worlds">訪問ワールド数を最小にする</option>
+              </select>
+              <button onclick="calculateShoppingPlan()" style="padding: 4px 10px; cursor: pointer;">購入計画を計算</button>
+            </div>
+          \` : '<div class="empty-state">買い物リストは空です</div>'}
+        </div>
+        <div id="shoppingPlan"></div>
+      \`;
+    }
+
+    async function calculateShoppingPlan() {
+      const panel = document.getElementById('shoppingPlan');
+      if (!panel || shoppingList.length === 0) return;
+      panel.innerHTML = '<div class="loading">計算中...</div>';
+
+      const body = {
+        mode: document.getElementById('shoppingMode').value,
+        items: shoppingList.map(entry => ({ itemId: entry.itemId, quantity: entry.quantity, hq: entry.hq })),
+      };
+      const scopeName = worldSelect.value || dcSelect.value;
+      if (scopeName) body.world = scopeName;
+
+      try {
+        const response = await fetch('/api/shopping-list', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderShoppingPlan(data);
+      } catch (error) {
+        console.error('[Frontend] 買い物リスト計算エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    function renderShoppingPlan(data) {
+      const names = {};
+      shoppingList.forEach(entry => { names[entry.itemId] = entry.name; });
+      data.items.forEach(item => { if (item.itemName) names[item.itemId] = item.itemName; });
+      const shortages = data.items.filter(item => item.shortfall > 0);
+
+      return \`
+        <div class="section">
+          <div class="section-title">購入計画</div>
+          <div style="margin-bottom: 12px; font-size: 14px;">
+            合計 <span class="price">\${data.totalCost.toLocaleString()} Gil</span> | 訪問ワールド数: \${data.worldVisits}
+          </div>
+          \${shortages.length > 0 ? \`
+            <div style="margin-bottom: 12px; padding: 8px 12px; border-radius: 6px; background: #fef3c7; color: #92400e; font-size: 13px;">
+              ⚠ 出品が足りないアイテム: \${shortages.map(item => \`\${escapeHtml(names[item.itemId] || String(item.itemId))}（\${item.shortfall}個不足）\`).join('、')}
+            </div>
+          \` : ''}
+          \${data.worlds.map(world => \`
+            <div style="margin-top: 16px; font-size: 14px; font-weight: 600;">
+              \${escapeHtml(world.dataCenter || '')} - \${escapeHtml(world.world)}（\${world.purchases}件, \${world.cost.toLocaleString()} Gil）
+            </div>
+            <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>アイテム</th><th>単価</th><th>数量</th><th>品質</th><th>小計</th><th>リテイナー</th></tr>
+              </thead>
+              <tbody>
+                \${data.items.flatMap(item => item.purchases
+                  .filter(p => p.world === world.world)
+                  .map(p => \`
+                    <tr>
+                      <td>\${escapeHtml(names[item.itemId] || String(item.itemId))}</td>
+                      <td>\${p.pricePerUnit.toLocaleString()} Gil</td>
+                      <td>\${p.quantity}</td>
+                      <td>\${p.hq ? '<span class="badge-hq">HQ</span>' : ''}</td>
+                      <td class="price">\${p.total.toLocaleString()} Gil</td>
+                      <td>\${escapeHtml(p.retainerName || '-')}</td>
+                    </tr>
+                  \`)).join('')}
+              </tbody>
+            </table>
+            </div>
+          \`).join('')}
+        </div>
+      \`;
+    }
+
+    // リテイナー監視（登録内容はサーバーの KV に保存。API トークンはブラウザに保存し、相場スキャンと共通）
+    const API_TOKEN_STORAGE_KEY = 'ffxivApiToken';
+
+    function apiHeaders(extra = {}) {
+      const token = localStorage.getItem(API_TOKEN_STORAGE_KEY);
+      return token ? { ...extra, Authorization: \`Bearer \${token}\` } : extra;
+    }
+
+    function saveApiToken(value, show = showRetainerDashboard) {
+      if (value.trim()) {
+        localStorage.setItem(API_TOKEN_STORAGE_KEY, value.trim());
+      } else {
+        localStorage.removeItem(API_TOKEN_STORAGE_KEY);
+      }
+      show();
+    }
+
+    async function showRetainerDashboard() {
+      selectedItem = null;
+      if (searchResults.length > 0) displayItemList();
+
+      content.innerHTML = \`
+        <div class="content-header">
+          <div class="content-title">リテイナー監視</div>
+          <div class="content-meta">
+            登録したリテイナーの出品の順位と、他の出品者に値下げされているかを確認します
+            <label style="margin-left: 12px;">APIトークン
+              <input type="password" value="\${escapeHtml(localStorage.getItem(API_TOKEN_STORAGE_KEY) || '')}" onchange="saveApiToken(this.value)" placeholder="設定されている場合のみ" style="width: 160px; padding: 3px 6px;">
+            </label>
+          </div>
+        </div>
+        <div class="section">
+          <div class="section-title">登録済みの監視</div>
+          <div id="retainerWatches"><div class="loading">読み込み中...</div></div>
+        </div>
+        <div id="retainerReport"></div>
+        <div class="section">
+          <div class="section-title">監視を追加</div>
+          <div style="display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; align-items: start; font-size: 13px;">
+            <label for="watchLabel">名前</label>
+            <input type="text" id="watchLabel" maxlength="50" placeholder="例: 製作品" style="padding: 4px 6px;">
+            <label for="watchRetainers">リテイナー</label>
+            <input type="text" id="watchRetainers" value="\${worldSelect.value ? '@' + escapeHtml(worldSelect.value) : ''}" placeholder="「リテイナー名@ワールド」をカンマ区切りで入力" style="padding: 4px 6px;">
+            <label for="watchItems">アイテムID</label>
+            <input type="text" id="watchItems" value="\${currentMarketData ? currentMarketData.itemId : ''}" placeholder="カンマ区切り" style="padding: 4px 6px;">
+            <label for="watchNotify">通知</label>
+            <div>
+              <label><input type="checkbox" id="watchNotify"> 値下げされたら Webhook で通知する</label>
+              <input type="text" id="watchWebhook" placeholder="Webhook URL（省略時はサーバーの設定を使用）" style="width: 100%; margin-top: 4px; padding: 4px 6px;">
+            </div>
+          </div>
+          <button onclick="createRetainerWatch()" style="margin-top: 12px; padding: 4px 12px; cursor: pointer;">追加</button>
+          <div id="watchFormStatus" style="margin-top: 8px; font-size: 13px;"></div>
+        </div>
+      \`;
+      loadRetainerWatches();
+    }
+
+    async function loadRetainerWatches() {
+      const panel = document.getElementById('retainerWatches');
+      if (!panel) return;
+
+      try {
+        const response = await fetch('/api/retainers', { headers: apiHeaders() });
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = data.watches.length > 0 ? \`
+          <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr><th>名前</th><th>リテイナー</th><th>アイテム数</th><th>通知</th><th></th></tr>
+            </thead>
+            <tbody>
+              \${data.watches.map(watch => \`
+                <tr>
+                  <td>\${escapeHtml(watch.label || '-')}</td>
+                  <td>\${watch.retainers.map(r => \`\${escapeHtml(r.name)}@\${escapeHtml(r.world)}\`).join('、')}</td>
+                  <td>\${watch.itemIds.length}</td>
+                  <td>\${watch.notify ? 'あり' : '-'}</td>
+                  <td style="white-space: nowrap;">
+                    <button onclick="loadRetainerReport('\${watch.id}')" style="padding: 3px 10px; cursor: pointer;">出品状況</button>
+                    <button onclick="deleteRetainerWatch('\${watch.id}')" style="padding: 3px 10px; cursor: pointer;">削除</button>
+                  </td>
+                </tr>
+              \`).join('')}
+            </tbody>
+          </table>
+          </div>
+        \` : '<div class="empty-state">監視は登録されていません</div>';
+      } catch (error) {
+        console.error('[Frontend] リテイナー監視取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    async function createRetainerWatch() {
+      const status = document.getElementById('watchFormStatus');
+      const retainers = document.getElementById('watchRetainers').value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+          const at = entry.lastIndexOf('@');
+          return at > 0 ? { name: entry.slice(0, at).trim(), world: entry.slice(at + 1).trim() } : { name: entry, world: '' };
+        });
+      const body = {
+        label: document.getElementById('watchLabel').value.trim(),
+        retainers,
+        itemIds: document.getElementById('watchItems').value.split(',').map(id => id.trim()).filter(Boolean).map(Number),
+        notify: document.getElementById('watchNotify').checked,
+      };
+      const webhookUrl = document.getElementById('watchWebhook').value.trim();
+      if (webhookUrl) body.webhookUrl = webhookUrl;
+
+      try {
+        const response = await fetch('/api/retainers', {
+          method: 'POST',
+          headers: apiHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify(body),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          status.textContent = data.message || 'エラーが発生しました';
+          return;
+        }
+        showRetainerDashboard();
+      } catch (error) {
+        console.error('[Frontend] リテイナー監視登録エラー:', error.message, error);
+        status.textContent = '通信エラーが発生しました';
+      }
+    }
+
+    async function deleteRetainerWatch(id) {
+      if (!confirm('この監視を削除しますか？')) return;
+      try {
+        await fetch(\`/api/retainers/\${encodeURIComponent(id)}\`, { method: 'DELETE', headers: apiHeaders() });
+      } catch (error) {
+        console.error('[Frontend] リテイナー監視削除エラー:', error.message, error);
+      }
+      document.getElementById('retainerReport').innerHTML = '';
+      loadRetainerWatches();
+    }
+
+    async function loadRetainerReport(id) {
+      const panel = document.getElementById('retainerReport');
+      if (!panel) return;
+      panel.innerHTML = '<div class="section"><div class="loading">出品状況を取得中...</div></div>';
+
+      try {
+        const response = await fetch(\`/api/retainers/\${encodeURIComponent(id)}/report\`, { headers: apiHeaders() });
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="section"><div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div></div>\`;
+          return;
+        }
+        panel.innerHTML = renderRetainerReport(data);
+      } catch (error) {
+        console.error('[Frontend] リテイナー出品状況取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="section"><div class="empty-state">通信エラーが発生しました</div></div>';
+      }
+    }
+
+    function renderRetainerReport(data) {
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+      const formatDuration = (minutes) => {
+        if (minutes === null) return '-';
+        if (minutes < 60) return \`\${minutes}分\`;
+        return minutes < 2880 ? \`\${Math.floor(minutes / 60)}時間\` : \`\${Math.floor(minutes / 1440)}日\`;
+      };
+
+      return \`
+        <div class="section">
+          <div class="section-title">\${escapeHtml(data.label || 'リテイナー')} の出品状況</div>
+          <div style="margin-bottom: 12px; font-size: 14px;">
+            出品 \${data.total}件 | 値下げされている出品 <span style="color: \${data.undercutCount > 0 ? '#dc2626' : 'inherit'}; font-weight: 600;">\${data.undercutCount}件</span>
+          </div>
+          \${data.stale ? \`
+            <div style="margin-bottom: 12px; padding: 8px 12px; border-radius: 6px; background: #fef3c7; color: #92400e; font-size: 13px;">
+              ⚠ マーケットデータを取得できなかったため、\${new Date(data.fetchedAt).toLocaleString()} 時点のデータを表示しています
+            </div>
+          \` : ''}
+          \${data.idleRetainers.length > 0 ? \`
+            <div style="margin-bottom: 12px; font-size: 13px; color: var(--text-muted);">
+              監視対象のアイテムを出品していないリテイナー: \${data.idleRetainers.map(r => \`\${escapeHtml(r.name)}@\${escapeHtml(r.world)}\`).join('、')}
+            </div>
+          \` : ''}
+          \${data.listings.length > 0 ? \`
+            <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>アイテム</th><th>ワールド</th><th>リテイナー</th><th>品質</th><th>価格</th><th>数量</th><th>順位</th><th>他の出品者の最安値</th><th>差額</th><th>値下げされてから</th></tr>
+              </thead>
+              <tbody>
+                \${data.listings.map(l => \`
+                  <tr style="\${l.undercut ? 'background: #fef2f2;' : ''}">
+                    <td>\${escapeHtml(l.itemName || String(l.itemId))}</td>
+                    <td>\${escapeHtml(l.world)}</td>
+                    <td>\${escapeHtml(l.retainerName)}</td>
+                    <td>\${l.hq ? '<span class="badge-hq">HQ</span>' : ''}</td>
+                    <td class="price">\${l.price.toLocaleString()} Gil</td>
+                    <td>\${l.quantity}</td>
+                    <td>\${l.rank} / \${l.listings}</td>
+                    <td>\${fmt(l.cheapestCompetitor)}</td>
+                    <td style="color: \${l.undercut ? '#dc2626' : 'inherit'};">\${l.gap === null ? '-' : (l.gap > 0 ? '+' : '') + l.gap.toLocaleString()}</td>
+                    <td>\${formatDuration(l.undercutMinutes)}</td>
+                  </tr>
+                \`).join('')}
+              </tbody>
+            </table>
+            </div>
+          \` : '<div class="empty-state">監視対象のアイテムの出品は見つかりませんでした</div>'}
+        </div>
+      \`;
+    }
+
+    // NPC販売品のうち、マーケットで NPC の販売価格より高く出品されているもの
+    async function showVendorArbitrage() {
+      selectedItem = null;
+      if (searchResults.length > 0) displayItemList();
+
+      const scopeName = worldSelect.value || dcSelect.value || '';
+      content.innerHTML = \`
+        <div class="content-header">
+          <div class="content-title">NPC販売品の価格比較</div>
+          <div class="content-meta">
+            検索エリア: \${escapeHtml(scopeName || 'デフォルトのリージョン全体')} | NPCから買える価格より高く出品されているアイテムを、NPCから買って出品した場合の利益の大きい順に表示します
+            <label style="margin-left: 12px;">最低利益 <input type="number" id="vendorMinProfit" value="" placeholder="指定なし" style="width: 90px; padding: 3px 6px;"></label>
+            <button onclick="loadVendorArbitrage()" style="margin-left: 4px; padding: 3px 10px; cursor: pointer;">再計算</button>
+          </div>
+        </div>
+        <div class="section">
+          <div id="vendorPanel"><div class="loading">NPC販売品の出品を確認中...</div></div>
+        </div>
+      \`;
+      loadVendorArbitrage();
+    }
+
+    async function loadVendorArbitrage() {
+      const panel = document.getElementById('vendorPanel');
+      if (!panel) return;
+
+      const params = new URLSearchParams({ limit: '100' });
+      if (worldSelect.value) {
+        params.set('world', worldSelect.value);
+      } else if (dcSelect.value) {
+        params.set('dc', dcSelect.value);
+      }
+      const minProfit = document.getElementById('vendorMinProfit').value;
+      if (minProfit !== '') params.set('min_profit', minProfit);
+      panel.innerHTML = '<div class="loading">NPC販売品の出品を確認中...</div>';
+
+      try {
+        const response = await fetch(\`/api/vendor-arbitrage?\${params}\`);
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = \`
+          <div style="margin-bottom: 12px; font-size: 14px;">
+            NPC販売品 \${data.vendorItems}件中 \${data.total}件がNPCの販売価格より高く出品されています\${data.total > data.items.length ? \`（上位\${data.items.length}件を表示）\` : ''}
+          </div>
+          \${data.items.length > 0 ? \`
+            <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>アイテム</th><th>NPC価格</th><th>マーケット最安値</th><th>ワールド</th><th>倍率</th><th>利益/個（税引後）</th><th>出品</th><th>販売場所</th></tr>
+              </thead>
+              <tbody>
+                \${data.items.map(item => \`
+                  <tr>
+                    <td>\${escapeHtml(item.itemName || String(item.itemId))}</td>
+                    <td>\${item.vendorPrice.toLocaleString()} Gil</td>
+                    <td class="price">\${item.cheapest.price.toLocaleString()} Gil</td>
+                    <td>\${escapeHtml(item.cheapest.dataCenter ? \`\${item.cheapest.dataCenter} - \${item.cheapest.world}\` : item.cheapest.world)}</td>
+                    <td>×\${item.markupRatio}</td>
+                    <td style="color: \${item.profit > 0 ? '#16a34a' : '#dc2626'};">\${item.profit.toLocaleString()} Gil</td>
+                    <td>\${item.listings}件 / \${item.units}個</td>
+                    <td style="font-size: 12px;">\${item.vendorShops.map(shop => escapeHtml(shop.name || \`ショップ#\${shop.shopId}\`)).join('、')}</td>
+                  </tr>
+                \`).join('')}
+              </tbody>
+            </table>
+            </div>
+          \` : '<div class="empty-state">NPCの販売価格より高く出品されているアイテムはありません</div>'}
+        \`;
+      } catch (error) {
+        console.error('[Frontend] NPC販売品取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    // 特殊通貨で交換できるアイテムを、通貨1あたりのギル換算で並べる
+    async function showCurrencyExchange() {
+      selectedItem = null;
+      if (searchResults.length > 0) displayItemList();
+
+      const scopeName = worldSelect.value || dcSelect.value || '';
+      content.innerHTML = \`
+        <div class="content-header">
+          <div class="content-title">通貨交換ランキング</div>
+          <div class="content-meta">
+            検索エリア: \${escapeHtml(scopeName || 'デフォルトのリージョン全体')} | 交換したアイテムを売った場合に、通貨1あたり何ギルになるかを販売速度も考慮して比較します
+          </div>
+        </div>
+        <div class="section">
+          <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 12px; font-size: 13px;">
+            <label>通貨:</label>
+            <select id="exchangeCurrency" onchange="document.getElementById('exchangeBudget').value = this.selectedOptions[0].dataset.budget" style="padding: 3px 4px;"></select>
+            <label style="margin-left: 8px;">使う量:</label>
+            <input type="number" id="exchangeBudget" min="1" max="999999" style="width: 100px; padding: 3px 6px;">
+            <button onclick="loadCurrencyRanking()" style="padding: 4px 10px; cursor: pointer;">計算</button>
+          </div>
+          <div id="exchangePanel"><div class="loading">読み込み中...</div></div>
+        </div>
+      \`;
 
       try {
-        const url = \`https://v2.xivapi.com/api/search?sheets=Item&fields=Name,ItemUICategory.Name,Icon&language=ja&query=Name~"\${encodeURIComponent(query)}"&limit=50\`;
-        console.log('[Frontend] アイテム検索URL:', url);
-        
-        const response = await fetch(url);
-        console.log('[Frontend] アイテム検索API レスポンス:', response.status, response.ok);
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('[Frontend] アイテム検索API エラー:', response.status, errorText);
-          throw new Error('Item search API error: ' + response.status + ' - ' + errorText);
-        }
-        
+        const response = await fetch('/api/currency-exchange');
         const data = await response.json();
-        console.log('[Frontend] アイテム検索結果:', data.results?.length || 0, '件');
-
-        if (data.results && data.results.length > 0) {
-          searchResults = data.results.map(r => {
-            // Icon.id から URL を生成
-            let iconUrl = '';
-            if (r.fields.Icon && r.fields.Icon.id) {
-              const iconId = r.fields.Icon.id;
-              const folder = String(Math.floor(iconId / 1000) * 1000).padStart(6, '0');
-              const file = String(iconId).padStart(6, '0');
-              iconUrl = \`https://xivapi.com/i/\${folder}/\${file}.png\`;
-            }
+        const select = document.getElementById('exchangeCurrency');
+        if (!select) return;
+        select.innerHTML = data.currencies.map(c => \`<option value="\${c.key}" data-budget="\${c.budget}">\${escapeHtml(c.name)}</option>\`).join('');
+        document.getElementById('exchangeBudget').value = data.currencies[0].budget;
+        loadCurrencyRanking();
+      } catch (error) {
+        console.error('[Frontend] 通貨一覧取得エラー:', error.message, error);
+        document.getElementById('exchangePanel').innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
 
-            return {
-              id: r.row_id,
-              name: r.fields.Name,
-              category: r.fields.ItemUICategory?.Name || '不明',
-              iconUrl: iconUrl
-            };
-          });
-          console.log('[Frontend] アイテム検索完了:', searchResults.length, '件');
-          displayItemList();
-        } else {
-          console.log('[Frontend] アイテム検索結果なし:', query);
-          itemList.innerHTML = '<div class="empty-state">該当なし</div>';
-          searchResults = [];
+    async function loadCurrencyRanking() {
+      const panel = document.getElementById('exchangePanel');
+      if (!panel) return;
+
+      const params = new URLSearchParams({
+        currency: document.getElementById('exchangeCurrency').value,
+        budget: document.getElementById('exchangeBudget').value || '1',
+      });
+      if (worldSelect.value) {
+        params.set('world', worldSelect.value);
+      } else if (dcSelect.value) {
+        params.set('dc', dcSelect.value);
+      }
+      panel.innerHTML = '<div class="loading">交換品の相場を確認中...</div>';
+
+      try {
+        const response = await fetch(\`/api/currency-exchange?\${params}\`);
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
         }
+        panel.innerHTML = renderCurrencyRanking(data);
       } catch (error) {
-        console.error('[Frontend] アイテム検索エラー:', query, error.message, error);
-        itemList.innerHTML = '<div class="empty-state">エラーが発生しました</div>';
+        console.error('[Frontend] 通貨交換ランキング取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
       }
     }
 
-    // アイテムリスト表示
-    function displayItemList() {
-      itemList.innerHTML = searchResults.map((item, idx) => {
-        return \`
-          <div class="item \${selectedItem && selectedItem.id === item.id ? 'selected' : ''}" onclick="selectItem(\${idx})">
-            <div style="display: flex; align-items: center; gap: 8px;">
-              \${item.iconUrl ? \`<img src="\${item.iconUrl}" alt="" style="width: 32px; height: 32px; flex-shrink: 0;">\` : ''}
-              <div style="flex: 1; min-width: 0;">
-                <div class="item-name">\${escapeHtml(item.name)}</div>
-                <div class="item-meta">\${escapeHtml(item.category)}</div>
-              </div>
-            </div>
+    function renderCurrencyRanking(data) {
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+
+      return \`
+        <div style="margin-bottom: 12px; font-size: 14px;">
+          \${escapeHtml(data.currency.name)} で交換できるアイテム \${data.exchangeItems}件中 \${data.total}件がマーケットに出品できます
+          <span style="font-size: 12px; color: var(--text-muted);">（\${data.budget.toLocaleString()} を使い、直近\${data.windowDays}日の販売速度で売れる分だけを評価）</span>
+        </div>
+        \${data.items.length > 0 ? \`
+          <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr><th>アイテム</th><th>交換レート</th><th>売値</th><th>通貨1あたり</th><th>販売速度</th><th>売れる見込み</th><th>見込み収入</th><th>実質 通貨1あたり</th></tr>
+            </thead>
+            <tbody>
+              \${data.items.map(item => \`
+                <tr style="\${item.thinMarket ? 'color: var(--text-muted);' : ''}">
+                  <td>\${escapeHtml(item.itemName || String(item.itemId))}\${item.thinMarket ? ' <span style="font-size: 11px;" title="直近の取引が少ないため、売値の見込みが不確かです">（取引少）</span>' : ''}</td>
+                  <td>\${item.cost.toLocaleString()} → \${item.quantity}個</td>
+                  <td title="\${item.priceBasis === 'sales' ? '直近の取引の中央値' : item.priceBasis === 'listing' ? '最安の出品' : ''}">\${fmt(item.unitPrice)} Gil</td>
+                  <td>\${fmt(item.gilPerCurrency)} Gil</td>
+                  <td>\${item.velocity}個/日</td>
+                  <td>\${item.sellableUnits.toLocaleString()} / \${item.affordableUnits.toLocaleString()}個</td>
+                  <td>\${item.expectedGil.toLocaleString()} Gil</td>
+                  <td class="price">\${item.effectiveGilPerCurrency.toLocaleString()} Gil</td>
+                </tr>
+              \`).join('')}
+            </tbody>
+          </table>
           </div>
-        \`;
-      }).join('');
+        \` : '<div class="empty-state">マーケットに出品できる交換品はありません</div>'}
+      \`;
     }
 
-    // アイテム選択
-    async function selectItem(index) {
-      selectedItem = searchResults[index];
-      displayItemList();
-      await loadMarketData();
-    }
+    // 相場スキャン（スキャンの登録内容と結果はサーバーの KV に保存。結果は定期ジョブで更新される）
+    async function showScannerDashboard() {
+      selectedItem = null;
+      if (searchResults.length > 0) displayItemList();
 
-    // マーケットデータ取得
-    async function loadMarketData() {
-      if (!selectedItem) return;
+      content.innerHTML = \`
+        <div class="content-header">
+          <div class="content-title">相場スキャン</div>
+          <div class="content-meta">
+            カテゴリまたはアイテム一覧の相場をまとめて比較します（結果は1時間ごとに更新）
+            <label style="margin-left: 12px;">APIトークン
+              <input type="password" value="\${escapeHtml(localStorage.getItem(API_TOKEN_STORAGE_KEY) || '')}" onchange="saveApiToken(this.value, showScannerDashboard)" placeholder="設定されている場合のみ" style="width: 160px; padding: 3px 6px;">
+            </label>
+          </div>
+        </div>
+        <div class="section">
+          <div class="section-title">登録済みのスキャン</div>
+          <div id="scanList"><div class="loading">読み込み中...</div></div>
+        </div>
+        <div id="scanResults"></div>
+        <div class="section">
+          <div class="section-title">スキャンを追加</div>
+          <div style="display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; align-items: start; font-size: 13px;">
+            <label for="scanLabel">名前</label>
+            <input type="text" id="scanLabel" maxlength="50" placeholder="例: 調理品" style="padding: 4px 6px;">
+            <label for="scanCategory">カテゴリ</label>
+            <select id="scanCategory" style="padding: 4px 6px;"><option value="">（アイテムIDで指定）</option></select>
+            <label for="scanItems">アイテムID</label>
+            <input type="text" id="scanItems" placeholder="カテゴリを選ばない場合にカンマ区切りで入力" style="padding: 4px 6px;">
+            <label for="scanWorld">検索エリア</label>
+            <input type="text" id="scanWorld" value="\${escapeHtml(worldSelect.value || dcSelect.value || '')}" placeholder="ワールド・DC・リージョン（省略時はデフォルト）" style="padding: 4px 6px;">
+          </div>
+          <button onclick="createScan()" style="margin-top: 12px; padding: 4px 12px; cursor: pointer;">追加</button>
+          <div id="scanFormStatus" style="margin-top: 8px; font-size: 13px;"></div>
+        </div>
+      \`;
+      loadScans();
 
-      content.innerHTML = '<div class="loading">マーケットデータ読み込み中...</div>';
+      try {
+        const response = await fetch('/api/item-categories');
+        const data = await response.json();
+        const select = document.getElementById('scanCategory');
+        if (!select || !response.ok) return;
+        select.innerHTML += data.categories.map(c => \`<option value="\${c.id}">\${escapeHtml(c.name)}</option>\`).join('');
+      } catch (error) {
+        console.error('[Frontend] カテゴリ取得エラー:', error.message, error);
+      }
+    }
 
-      // ワールドが選択されている場合はワールド名、データセンターのみの場合はDC名を使用
-      const world = worldSelect.value.trim() || dcSelect.value.trim() || '';
-      const hq = hqOnly.checked ? 'true' : 'false';
-      const apiUrl = \`/api/search?q=\${encodeURIComponent(selectedItem.name)}&world=\${encodeURIComponent(world)}&hq=\${hq}\`;
-      
-      console.log('[Frontend] マーケットデータ取得開始:', selectedItem.name, 'world:', world);
-      console.log('[Frontend] マーケットデータAPI URL:', apiUrl);
+    async function loadScans() {
+      const panel = document.getElementById('scanList');
+      if (!panel) return;
 
       try {
-        const response = await fetch(apiUrl);
-        console.log('[Frontend] マーケットデータAPI レスポンス:', response.status, response.ok);
-        
+        const response = await fetch('/api/scans', { headers: apiHeaders() });
         const data = await response.json();
-
         if (!response.ok) {
-          console.error('[Frontend] マーケットデータAPI エラー:', response.status, data);
-          content.innerHTML = \`<div class="empty-state">\${data.message || 'エラーが発生しました'}</div>\`;
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
           return;
         }
+        panel.innerHTML = data.scans.length > 0 ? \`
+          <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr><th>名前</th><th>対象</th><th>検索エリア</th><th></th></tr>
+            </thead>
+            <tbody>
+              \${data.scans.map(scan => \`
+                <tr>
+                  <td>\${escapeHtml(scan.label || '-')}</td>
+                  <td>\${scan.categoryId !== null ? escapeHtml(scan.categoryName || \`カテゴリ#\${scan.categoryId}\`) : \`アイテム\${scan.itemIds.length}件\`}</td>
+                  <td>\${escapeHtml(scan.world)}</td>
+                  <td style="white-space: nowrap;">
+                    <button onclick="loadScanResults('\${scan.id}')" style="padding: 3px 10px; cursor: pointer;">結果</button>
+                    <button onclick="deleteScan('\${scan.id}')" style="padding: 3px 10px; cursor: pointer;">削除</button>
+                  </td>
+                </tr>
+              \`).join('')}
+            </tbody>
+          </table>
+          </div>
+        \` : '<div class="empty-state">スキャンは登録されていません</div>';
+      } catch (error) {
+        console.error('[Frontend] スキャン取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
 
-        console.log('[Frontend] マーケットデータ受信:', data.listings?.length || 0, '件の出品,', data.recentHistory?.length || 0, '件の履歴');
-        displayMarketData(data);
+    async function createScan() {
+      const status = document.getElementById('scanFormStatus');
+      const category = document.getElementById('scanCategory').value;
+      const body = { label: document.getElementById('scanLabel').value.trim() };
+      if (category) {
+        body.categoryId = Number(category);
+      } else {
+        body.itemIds = document.getElementById('scanItems').value.split(',').map(id => id.trim()).filter(Boolean).map(Number);
+      }
+      const world = document.getElementById('scanWorld').value.trim();
+      if (world) body.world = world;
+
+      try {
+        const response = await fetch('/api/scans', {
+          method: 'POST',
+          headers: apiHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify(body),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          status.textContent = data.message || 'エラーが発生しました';
+          return;
+        }
+        showScannerDashboard();
       } catch (error) {
-        console.error('[Frontend] マーケットデータ取得エラー:', selectedItem.name, error.message, error);
-        content.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+        console.error('[Frontend] スキャン登録エラー:', error.message, error);
+        status.textContent = '通信エラーが発生しました';
       }
     }
 
-    // マーケットデータ表示
-    function displayMarketData(data) {
-      const listings = data.listings || [];
-      const recentSales = data.recentHistory || [];
+    async function deleteScan(id) {
+      if (!confirm('このスキャンを削除しますか？')) return;
+      try {
+        await fetch(\`/api/scans/\${encodeURIComponent(id)}\`, { method: 'DELETE', headers: apiHeaders() });
+      } catch (error) {
+        console.error('[Frontend] スキャン削除エラー:', error.message, error);
+      }
+      document.getElementById('scanResults').innerHTML = '';
+      loadScans();
+    }
 
-      // 現在選択されているDC/ワールド情報を取得
-      const selectedDC = dcSelect.options[dcSelect.selectedIndex].text;
-      const selectedWorld = worldSelect.options[worldSelect.selectedIndex].text;
+    // refresh を指定した場合はサーバーでその場で再スキャンする
+    async function loadScanResults(id, sort = 'daily_gil', refresh = false) {
+      const panel = document.getElementById('scanResults');
+      if (!panel) return;
+      panel.innerHTML = \`<div class="section"><div class="loading">\${refresh ? '再スキャン中...' : '結果を取得中...'}</div></div>\`;
 
-      let locationInfo = '';
-      if (worldSelect.value) {
-        // ワールドが選択されている場合
-        const worldObj = worldData.worlds.find(w => w.name === worldSelect.value);
-        locationInfo = worldObj ? \`\${worldObj.dc} - \${worldObj.name}\` : selectedWorld;
-      } else if (dcSelect.value) {
-        // DCのみ選択されている場合
-        locationInfo = \`\${selectedDC} (全ワールド)\`;
-      } else {
-        // 何も選択されていない場合
-        locationInfo = '全エリア';
+      try {
+        const response = await fetch(\`/api/scans/\${encodeURIComponent(id)}/results?sort=\${sort}\`, {
+          method: refresh ? 'POST' : 'GET',
+          headers: apiHeaders(),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="section"><div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div></div>\`;
+          return;
+        }
+        panel.innerHTML = renderScanResults(data);
+      } catch (error) {
+        console.error('[Frontend] スキャン結果取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="section"><div class="empty-state">通信エラーが発生しました</div></div>';
       }
+    }
 
-      let html = \`
-        <div class="content-header">
-          <div class="content-title">\${escapeHtml(data.itemName)}</div>
-          <div class="content-meta">
-            検索エリア: \${escapeHtml(locationInfo)} | 出品数: \${listings.length}件
-          </div>
-        </div>
-      \`;
+    function renderScanResults(data) {
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+      const sorts = [['daily_gil', '取引額/日'], ['price_velocity', '中央値×販売速度'], ['scarcity', '出品の少なさ'], ['wow_change', '前週比']];
+      const formatChange = (value) => value === null ? '-' : \`\${value > 0 ? '+' : ''}\${Math.round(value * 1000) / 10}%\`;
 
-      // 出品Top10
-      html += \`
+      return \`
         <div class="section">
-          <div class="section-title">現在の出品 Top10</div>
-          \${listings.length > 0 ? \`
+          <div class="section-title">
+            \${escapeHtml(data.label || data.categoryName || 'スキャン')} の結果
+            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
+              並び替え:
+              <select onchange="loadScanResults('\${data.scanId}', this.value)" style="padding: 3px 4px;">
+                \${sorts.map(([value, label]) => \`<option value="\${value}" \${value === data.sort ? 'selected' : ''}>\${label}</option>\`).join('')}
+              </select>
+              <button onclick="loadScanResults('\${data.scanId}', '\${data.sort}', true)" style="margin-left: 4px; padding: 3px 10px; cursor: pointer;">今すぐ再スキャン</button>
+            </div>
+          </div>
+          <div style="margin-bottom: 12px; font-size: 13px; color: var(--text-muted);">
+            \${escapeHtml(data.world)} | 対象\${data.targetItems}件中 出品可能\${data.total}件 | \${new Date(data.generatedAt).toLocaleString()} 時点
+          </div>
+          \${data.stale ? \`
+            <div style="margin-bottom: 12px; padding: 8px 12px; border-radius: 6px; background: #fef3c7; color: #92400e; font-size: 13px;">
+              ⚠ 一部のマーケットデータを取得できなかったため、古いデータを含んでいます
+            </div>
+          \` : ''}
+          \${data.items.length > 0 ? \`
             <div class="table-wrapper">
             <table>
               <thead>
-                <tr>
-                  <th>ワールド</th>
-                  <th>価格</th>
-                  <th>数量</th>
-                  <th>品質</th>
-                  <th>合計</th>
-                  <th>リテイナー</th>
-                </tr>
+                <tr><th>アイテム</th><th>取引額/日</th><th>中央値</th><th>販売速度</th><th>中央値×販売速度</th><th>出品</th><th>在庫日数</th><th>最安値</th><th>前週比</th></tr>
               </thead>
               <tbody>
-                \${listings.slice(0, 10).map(l => {
-                  // ワールド名からDCを取得
-                  const worldObj = worldData.worlds.find(w => w.name === l.worldName);
-                  const dcName = worldObj ? worldObj.dc : '';
-                  const worldDisplay = dcName ? \`\${dcName} - \${l.worldName}\` : l.worldName;
-
-                  return \`
-                    <tr>
-                      <td>\${escapeHtml(worldDisplay || '-')}</td>
-                      <td>\${l.price.toLocaleString()} Gil</td>
-                      <td>\${l.quantity}</td>
-                      <td>\${l.hq ? '<span class="badge-hq">HQ</span>' : ''}</td>
-                      <td class="price">\${l.total.toLocaleString()} Gil</td>
-                      <td>\${escapeHtml(l.retainerName || '-')}</td>
-                    </tr>
-                  \`;
-                }).join('')}
+                \${data.items.map(item => \`
+                  <tr style="\${item.thinMarket ? 'color: var(--text-muted);' : ''}">
+                    <td>\${escapeHtml(item.itemName || String(item.itemId))}</td>
+                    <td class="price">\${fmt(item.dailyGil)} Gil</td>
+                    <td>\${fmt(item.median)}</td>
+                    <td>\${item.velocity}個/日</td>
+                    <td>\${fmt(item.priceVelocity)}</td>
+                    <td>\${item.listings}件 / \${item.listedUnits}個</td>
+                    <td title="今の出品数量が何日分の販売量にあたるか">\${item.daysOfSupply === null ? '-' : item.daysOfSupply + '日'}</td>
+                    <td>\${fmt(item.cheapest)}</td>
+                    <td style="color: \${item.weekOverWeek > 0 ? '#16a34a' : item.weekOverWeek < 0 ? '#dc2626' : 'inherit'};">\${formatChange(item.weekOverWeek)}</td>
+                  </tr>
+                \`).join('')}
               </tbody>
             </table>
             </div>
-          \` : '<div class="empty-state">出品がありません</div>'}
+          \` : '<div class="empty-state">マーケットに出品できるアイテムはありません</div>'}
         </div>
       \`;
+    }
 
-      // 日本全ワールドTop10取引履歴（DC単位でグルーピング）
-      html += \`
-        <div class="section">
-          <div class="section-title">
-            日本全ワールド 過去の取引実績 Top10
-            <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
-              <button onclick="toggleDC('Elemental')" id="btnElemental" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">Elemental</button>
-              <button onclick="toggleDC('Gaia')" id="btnGaia" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">Gaia</button>
-              <button onclick="toggleDC('Mana')" id="btnMana" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">Mana</button>
-            </div>
-          </div>
-          \${data.worldTop10 && Object.keys(data.worldTop10).length > 0 ? \`
-            <div class="table-wrapper">
-              <table style="font-size: 11px;">
-                <thead>
-                  <tr>
-                    <th style="width: 50px; text-align: center; position: sticky; left: 0; background: var(--hover-bg); z-index: 10;">順位</th>
-                    \${(() => {
-                      // DC単位でグルーピング
-                      const dcGroups = {
-                        'Elemental': ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Ramuh', 'Tonberry', 'Typhon', 'Unicorn'],
-                        'Gaia': ['Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima'],
-                        'Mana': ['Anima', 'Asura', 'Belias', 'Chocobo', 'Hades', 'Ixion', 'Mandragora', 'Masamune', 'Pandaemonium', 'Shinryu', 'Titan']
-                      };
-
-                      let headers = '';
-                      const dcKeys = Object.keys(dcGroups);
-                      dcKeys.forEach((dcName, dcIndex) => {
-                        const dcWorlds = dcGroups[dcName].filter(w => data.worldTop10[w]);
-                        if (dcWorlds.length > 0) {
-                          const isLastDC = dcIndex === dcKeys.length - 1;
-                          const borderRight = isLastDC ? '' : 'border-right: 3px solid var(--border);';
-                          headers += \`<th colspan="\${dcWorlds.length}" class="dc-header dc-\${dcName}" style="text-align: center; background: var(--selected-bg); font-size: 13px; font-weight: 700; padding: 6px; \${borderRight}">\${dcName}</th>\`;
-                        }
-                      });
-                      return headers;
-                    })()}
-                  </tr>
-                  <tr>
-                    <th style="width: 50px; text-align: center; position: sticky; left: 0; background: var(--hover-bg); z-index: 10;"></th>
-                    \${(() => {
-                      const dcGroups = {
-                        'Elemental': ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Ramuh', 'Tonberry', 'Typhon', 'Unicorn'],
-                        'Gaia': ['Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima'],
-                        'Mana': ['Anima', 'Asura', 'Belias', 'Chocobo', 'Hades', 'Ixion', 'Mandragora', 'Masamune', 'Pandaemonium', 'Shinryu', 'Titan']
-                      };
-
-                      // 各ワールドの平均価格を計算
-                      const worldAverages = {};
-                      Object.values(dcGroups).flat().forEach(worldName => {
-                        if (data.worldTop10[worldName]) {
-                          const prices = data.worldTop10[worldName].map(h => h.price);
-                          worldAverages[worldName] = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-                        }
-                      });
-
-                      // 全体の最高・最低平均価格を取得
-                      const avgValues = Object.values(worldAverages);
-                      const maxAvg = Math.max(...avgValues);
-                      const minAvg = Math.min(...avgValues);
-
-                      // 平均価格に応じて背景色を計算する関数
-                      const getBackgroundColor = (avg) => {
-                        if (avgValues.length === 1) return '';
-                        const ratio = (avg - minAvg) / (maxAvg - minAvg);
-                        if (ratio >= 0.5) {
-                          // 高い: 赤系（中央より高い）
-                          const intensity = ratio * 0.4; // 0 ~ 0.4の範囲
-                          return \`rgba(255, 200, 200, \${intensity})\`;
-                        } else {
-                          // 安い: 青系（中央より低い）
-                          const intensity = (1 - ratio) * 0.4; // 0 ~ 0.4の範囲
-                          return \`rgba(200, 220, 255, \${intensity})\`;
-                        }
-                      };
-
-                      let worldHeaders = '';
-                      Object.keys(dcGroups).forEach(dcName => {
-                        const dcWorlds = dcGroups[dcName].filter(w => data.worldTop10[w]);
-                        dcWorlds.forEach((worldName, index) => {
-                          const bgColor = worldAverages[worldName] ? getBackgroundColor(worldAverages[worldName]) : '';
-                          const isLastInDC = index === dcWorlds.length - 1;
-                          const borderRight = isLastInDC ? 'border-right: 3px solid var(--border);' : '';
-                          worldHeaders += \`<th class="world-header dc-\${dcName}" style="text-align: center; padding: 4px 2px; min-width: 85px; font-size: 10px; background: \${bgColor}; \${borderRight}">\${escapeHtml(worldName)}</th>\`;
-                        });
-                      });
-                      return worldHeaders;
-                    })()}
-                  </tr>
-                </thead>
-                <tbody>
-                  \${Array.from({length: 10}, (_, rank) => {
-                    const dcGroups = {
-                      'Elemental': ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Ramuh', 'Tonberry', 'Typhon', 'Unicorn'],
-                      'Gaia': ['Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima'],
-                      'Mana': ['Anima', 'Asura', 'Belias', 'Chocobo', 'Hades', 'Ixion', 'Mandragora', 'Masamune', 'Pandaemonium', 'Shinryu', 'Titan']
-                    };
-
-                    // 各ワールドの平均価格を計算（ヘッダーと同じロジック）
-                    const worldAverages = {};
-                    Object.values(dcGroups).flat().forEach(worldName => {
-                      if (data.worldTop10[worldName]) {
-                        const prices = data.worldTop10[worldName].map(h => h.price);
-                        worldAverages[worldName] = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-                      }
-                    });
-
-                    const avgValues = Object.values(worldAverages);
-                    const maxAvg = Math.max(...avgValues);
-                    const minAvg = Math.min(...avgValues);
-
-                    const getBackgroundColor = (avg) => {
-                      if (avgValues.length === 1) return '';
-                      const ratio = (avg - minAvg) / (maxAvg - minAvg);
-                      if (ratio >= 0.5) {
-                        // 高い: 赤系（中央より高い）
-                        const intensity = ratio * 0.4; // 0 ~ 0.4の範囲
-                        return \`rgba(255, 200, 200, \${intensity})\`;
-                      } else {
-                        // 安い: 青系（中央より低い）
-                        const intensity = (1 - ratio) * 0.4; // 0 ~ 0.4の範囲
-                        return \`rgba(200, 220, 255, \${intensity})\`;
-                      }
-                    };
-
-                    let cells = '';
-                    Object.keys(dcGroups).forEach(dcName => {
-                      const dcWorlds = dcGroups[dcName].filter(w => data.worldTop10[w]);
-                      dcWorlds.forEach((worldName, index) => {
-                        const historyList = data.worldTop10[worldName];
-                        const item = historyList[rank];
-                        const bgColor = worldAverages[worldName] ? getBackgroundColor(worldAverages[worldName]) : '';
-                        const isLastInDC = index === dcWorlds.length - 1;
-                        const borderRight = isLastInDC ? 'border-right: 3px solid var(--border);' : '';
-
-                        if (!item) {
-                          cells += \`<td class="world-cell dc-\${dcName}" style="text-align: center; color: var(--text-muted); padding: 4px 2px; background: \${bgColor}; \${borderRight}">-</td>\`;
-                        } else {
-                          const date = new Date(item.timestamp * 1000);
-                          const dateStr = \`\${date.getMonth() + 1}/\${date.getDate()} \${String(date.getHours()).padStart(2, '0')}:\${String(date.getMinutes()).padStart(2, '0')}\`;
-
-                          cells += \`
-                            <td class="world-cell dc-\${dcName}" style="text-align: center; padding: 4px 2px; line-height: 1.4; background: \${bgColor}; \${borderRight}">
-                              <div style="font-weight: 700; color: var(--primary); font-size: 11px;">\${item.price.toLocaleString()}</div>
-                              <div style="font-size: 9px; color: var(--text-muted);">\${item.quantity}個</div>
-                              <div style="font-size: 8px; color: var(--text-muted);">\${dateStr}</div>
-                            </td>
-                          \`;
-                        }
-                      });
-                    });
+    // レシピを素材まで展開し、買う / 作るの費用を比較
+    async function loadRecipe() {
+      const panel = document.getElementById('recipePanel');
+      if (!panel || !currentMarketData) return;
 
-                    return \`
-                      <tr>
-                        <td style="text-align: center; font-weight: 600; position: sticky; left: 0; background: white; z-index: 5;">\${rank + 1}</td>
-                        \${cells}
-                      </tr>
-                    \`;
-                  }).join('')}
-                </tbody>
-              </table>
-            </div>
-            <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted); text-align: center;">
-              ※ 横スクロールで全ワールドを確認できます｜DC単位でグルーピング表示
-            </div>
-          \` : '<div class="empty-state">取引履歴がありません</div>'}
+      const params = new URLSearchParams({
+        quantity: document.getElementById('recipeQuantity').value || '1',
+        dc: currentMarketData.region,
+        hq: hqOnly.checked ? 'true' : 'false',
+      });
+      panel.innerHTML = '<div class="loading">レシピを展開中...</div>';
+
+      try {
+        const response = await fetch(\`/api/recipe/\${currentMarketData.itemId}?\${params}\`);
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderRecipe(data);
+      } catch (error) {
+        console.error('[Frontend] 製作コスト取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
+
+    function renderRecipe(data) {
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString() + ' Gil';
+      const strategyLabels = { buy: '買う', craft: '作る', unavailable: '入手不可' };
+
+      // ツリーを深さ優先で1行ずつ並べ、深さに応じて字下げする
+      const rows = [];
+      const walk = (node, depth) => {
+        rows.push({ node, depth });
+        if (node.recipe) node.recipe.ingredients.forEach(child => walk(child, depth + 1));
+      };
+      walk(data.tree, 0);
+
+      return \`
+        <div style="margin-bottom: 12px; font-size: 14px;">
+          製作費用: <span class="price">\${fmt(data.craftCost)}</span>
+          | 完成品を買う場合: \${fmt(data.buyCost)}
+          | 現在の最安出品: \${data.marketUnitPrice === null ? '-' : fmt(data.marketUnitPrice) + '/個'}
+          \${data.profit === null ? '' : \`
+            | 見込み利益（税\${Math.round(data.taxRate * 100)}%控除後）:
+            <span class="price" style="color: \${data.profit > 0 ? '#16a34a' : '#dc2626'};">\${fmt(data.profit)}（\${Math.round(data.margin * 1000) / 10}%）</span>
+          \`}
+        </div>
+        <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>アイテム</th><th>必要数</th><th>購入単価</th><th>買う場合</th><th>作る場合</th><th>安い方</th></tr>
+          </thead>
+          <tbody>
+            \${rows.map(({ node, depth }) => \`
+              <tr>
+                <td style="padding-left: \${12 + depth * 20}px;">
+                  \${depth > 0 ? '└ ' : ''}\${escapeHtml(node.itemName || String(node.itemId))}
+                  \${node.recipe ? \`<span style="font-size: 11px; color: var(--text-muted);">（\${escapeHtml(node.recipe.craftType || '製作')} ×\${node.recipe.crafts}回）</span>\` : ''}
+                </td>
+                <td>\${node.quantity}</td>
+                <td>\${fmt(node.buyUnitPrice)}</td>
+                <td style="\${node.strategy === 'buy' ? 'font-weight: 600;' : 'color: var(--text-muted);'}">\${fmt(node.buyCost)}</td>
+                <td style="\${node.strategy === 'craft' ? 'font-weight: 600;' : 'color: var(--text-muted);'}">\${fmt(node.craftCost)}</td>
+                <td>\${strategyLabels[node.strategy]}</td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+        </div>
+        <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted);">
+          ※ 作る場合の費用は、各素材を「買う」「作る」の安い方で揃えた合計です（購入単価は必要数を満たす最安の出品から算出）
+          \${data.truncated ? \`<br>※ レシピが多いため一部を評価していません\${data.unexpandedItems > 0 ? \`（\${data.unexpandedItems}件の素材は「買う」場合のみで計算）\` : ''}\` : ''}
         </div>
       \`;
+    }
 
-      // 過去3か月の価格推移グラフセクション
-      if (data.historyLast3Months && data.historyLast3Months.length > 0) {
-        html += \`
-          <div class="section">
-            <div class="section-title">
-              過去3か月の価格推移
-              <div style="display: inline-block; margin-left: 16px; font-size: 12px; font-weight: 400;">
-                <button onclick="updatePriceChart('all')" id="chartBtnAll" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: var(--primary); color: white; border-radius: 4px;">全体</button>
-                <button onclick="updatePriceChart('Elemental')" id="chartBtnElemental" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: white; color: var(--primary); border-radius: 4px;">Elemental</button>
-                <button onclick="updatePriceChart('Gaia')" id="chartBtnGaia" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: white; color: var(--primary); border-radius: 4px;">Gaia</button>
-                <button onclick="updatePriceChart('Mana')" id="chartBtnMana" style="margin: 0 4px; padding: 4px 8px; font-size: 11px; cursor: pointer; border: 1px solid var(--primary); background: white; color: var(--primary); border-radius: 4px;">Mana</button>
-              </div>
-            </div>
-            <div class="chart-container">
-              <div class="chart-wrapper">
-                <canvas id="priceChart"></canvas>
-              </div>
-            </div>
-            <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted); text-align: center;">
-              ※ データセンター単位で日別平均価格を表示｜ボタンをクリックしてDCを切り替え
-            </div>
-          </div>
-        \`;
-      }
+    // このアイテムを素材に使う製品を、素材1個あたりの価値が高い順に表示
+    async function loadUsedIn() {
+      const panel = document.getElementById('usedInPanel');
+      if (!panel || !currentMarketData) return;
 
-      content.innerHTML = html;
+      const params = new URLSearchParams({
+        dc: currentMarketData.region,
+        hq: hqOnly.checked ? 'true' : 'false',
+      });
+      panel.innerHTML = '<div class="loading">使用先を検索中...</div>';
+
+      try {
+        const response = await fetch(\`/api/used-in/\${currentMarketData.itemId}?\${params}\`);
+        const data = await response.json();
+        if (!response.ok) {
+          panel.innerHTML = \`<div class="empty-state">\${escapeHtml(data.message || 'エラーが発生しました')}</div>\`;
+          return;
+        }
+        panel.innerHTML = renderUsedIn(data);
+      } catch (error) {
+        console.error('[Frontend] 使用先取得エラー:', error.message, error);
+        panel.innerHTML = '<div class="empty-state">通信エラーが発生しました</div>';
+      }
+    }
 
-      // グラフを初期化（データがある場合）
-      if (data.historyLast3Months && data.historyLast3Months.length > 0) {
-        // DOMが更新された後にグラフを初期化
-        setTimeout(() => {
-          initPriceChart(data);
-        }, 100);
+    function renderUsedIn(data) {
+      if (data.products.length === 0) {
+        return '<div class="empty-state">このアイテムを素材に使うレシピはありません</div>';
       }
+      const fmt = (value) => value === null || value === undefined ? '-' : value.toLocaleString() + ' Gil';
+
+      return \`
+        <div style="margin-bottom: 12px; font-size: 14px;">
+          素材の現在の最安値: \${fmt(data.materialPrice)}
+          \${data.truncated ? \`<span style="font-size: 12px; color: var(--text-muted);">（レシピが多いため\${data.products.length}件のみ表示）</span>\` : ''}
+        </div>
+        <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>製品</th><th>使用数</th><th>製品の最安値</th><th>販売速度 (個/日)</th><th>素材1個あたりの価値</th><th>素材単価との差</th></tr>
+          </thead>
+          <tbody>
+            \${data.products.map(p => \`
+              <tr style="\${p.thinMarket ? 'color: var(--text-muted);' : ''}">
+                <td>
+                  \${escapeHtml(p.itemName || String(p.itemId))}
+                  <span style="font-size: 11px; color: var(--text-muted);">（\${escapeHtml(p.craftType || '製作')}\${p.amountResult > 1 ? \` / \${p.amountResult}個できる\` : ''}）</span>
+                </td>
+                <td>\${p.materialAmount}</td>
+                <td>\${fmt(p.productPrice)}</td>
+                <td>\${p.velocity.toLocaleString()}</td>
+                <td class="price">\${fmt(p.impliedValue)}</td>
+                <td style="color: \${p.premium > 0 ? '#16a34a' : p.premium < 0 ? '#dc2626' : 'inherit'};">
+                  \${p.premium === null ? '-' : (p.premium > 0 ? '+' : '') + fmt(p.premium)}
+                </td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+        </div>
+        <div style="margin-top: 8px; font-size: 12px; color: var(--text-muted);">
+          ※ 素材1個あたりの価値 =（製品の最安値 × 完成数 − 最安値のワールドの税 − 他の素材の購入費）÷ 使用数。灰色は直近\${data.windowDays}日の取引が少ない製品です
+        </div>
+      \`;
     }
 
     function escapeHtml(text) {
@@ -1191,23 +6723,32 @@ const HTML_CONTENT = `<!DOCTYPE html>
       return String(text || '').replace(/[&<>"']/g, m => map[m]);
     }
 
-    // DC表示切り替え用の状態管理
-    const dcVisibility = {
-      'Elemental': true,
-      'Gaia': true,
-      'Mana': true
-    };
+    // 経過秒数を「N分前 / N時間前 / N日前」で表す
+    function formatAge(seconds) {
+      if (seconds === null || seconds === undefined) return '更新不明';
+      if (seconds < 3600) return \`\${Math.max(1, Math.floor(seconds / 60))}分前\`;
+      if (seconds < 86400) return \`\${Math.floor(seconds / 3600)}時間前\`;
+      return \`\${Math.floor(seconds / 86400)}日前\`;
+    }
+
+    // DC表示切り替え用の状態管理（displayMarketData で DC 構成に合わせて初期化）
+    const dcVisibility = {};
 
     // グラフ関連のグローバル変数
     let priceChartInstance = null;
     let currentMarketData = null;
+    let currentChartDc = 'all';
+    let chartRequestSeq = 0;
+
+    function toggleDC(dcIndex) {
+      const dcName = Object.keys(dcVisibility)[dcIndex];
+      if (!dcName) return;
 
-    function toggleDC(dcName) {
       // 状態を反転
       dcVisibility[dcName] = !dcVisibility[dcName];
 
       // ボタンのスタイルを更新
-      const btn = document.getElementById(\`btn\${dcName}\`);
+      const btn = document.getElementById(\`btnDC\${dcIndex}\`);
       if (dcVisibility[dcName]) {
         btn.style.background = 'var(--primary)';
         btn.style.color = 'white';
@@ -1217,7 +6758,7 @@ const HTML_CONTENT = `<!DOCTYPE html>
       }
 
       // 該当するDCの列を表示/非表示
-      const elements = document.querySelectorAll(\`.dc-\${dcName}\`);
+      const elements = document.querySelectorAll(\`.dc-\${dcIndex}\`);
       elements.forEach(el => {
         el.style.display = dcVisibility[dcName] ? '' : 'none';
       });
@@ -1230,6 +6771,7 @@ const HTML_CONTENT = `<!DOCTYPE html>
       // 既存のグラフがあれば破棄
       if (priceChartInstance) {
         priceChartInstance.destroy();
+        priceChartInstance = null;
       }
 
       // canvas要素を取得
@@ -1240,71 +6782,92 @@ const HTML_CONTENT = `<!DOCTYPE html>
       updatePriceChart('all');
     }
 
-    // グラフ更新関数
-    function updatePriceChart(dcFilter) {
-      if (!currentMarketData || !currentMarketData.historyLast3Months) return;
-
-      const dcGroups = {
-        'Elemental': ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Ramuh', 'Tonberry', 'Typhon', 'Unicorn'],
-        'Gaia': ['Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima'],
-        'Mana': ['Anima', 'Asura', 'Belias', 'Chocobo', 'Hades', 'Ixion', 'Mandragora', 'Masamune', 'Pandaemonium', 'Shinryu', 'Titan']
-      };
+    // グラフ更新関数（dcFilter 省略時は現在のDCのまま期間・集計単位のみ変更）
+    async function updatePriceChart(dcFilter) {
+      if (!currentMarketData) return;
+      if (dcFilter !== undefined) {
+        currentChartDc = dcFilter;
+      }
 
       // ボタンのスタイルを更新
-      ['all', 'Elemental', 'Gaia', 'Mana'].forEach(dc => {
-        const btnId = dc === 'all' ? 'chartBtnAll' : \`chartBtn\${dc}\`;
-        const btn = document.getElementById(btnId);
-        if (btn) {
-          if (dc === dcFilter) {
-            btn.style.background = 'var(--primary)';
-            btn.style.color = 'white';
-          } else {
-            btn.style.background = 'white';
-            btn.style.color = 'var(--primary)';
-          }
+      document.querySelectorAll('[data-chart-dc]').forEach(btn => {
+        if (btn.dataset.chartDc === currentChartDc) {
+          btn.style.background = 'var(--primary)';
+          btn.style.color = 'white';
+        } else {
+          btn.style.background = 'white';
+          btn.style.color = 'var(--primary)';
         }
       });
 
-      // データをフィルタリング
-      let filteredData = currentMarketData.historyLast3Months;
-      if (dcFilter !== 'all') {
-        const worldsInDC = dcGroups[dcFilter] || [];
-        filteredData = filteredData.filter(h => worldsInDC.includes(h.worldName));
+      const range = document.getElementById('chartRange')?.value || '90d';
+      // 90日を超える期間は日次アーカイブから集計するため、時間別は選べない
+      const longRange = !['7d', '30d', '90d'].includes(range);
+      const granularitySelect = document.getElementById('chartGranularity');
+      if (longRange && granularitySelect && granularitySelect.value === 'hour') {
+        granularitySelect.value = 'day';
+      }
+      const granularity = granularitySelect?.value || 'day';
+      const params = new URLSearchParams({
+        granularity,
+        range,
+        tz_offset: String(-new Date().getTimezoneOffset()),
+        outliers: outlierMode === 'include' ? 'include' : 'exclude',
+      });
+      // 全体表示はリージョン全体、DC選択時はそのDCのみ
+      params.set('dc', currentChartDc === 'all' ? currentMarketData.region : currentChartDc);
+      if (hqOnly.checked) {
+        params.set('hq', 'true');
       }
 
-      // 日別にデータを集計
-      const dailyData = {};
-      filteredData.forEach(h => {
-        const date = new Date(h.timestamp * 1000);
-        const dateKey = \`\${date.getFullYear()}-\${String(date.getMonth() + 1).padStart(2, '0')}-\${String(date.getDate()).padStart(2, '0')}\`;
+      const status = document.getElementById('chartStatus');
+      const seq = ++chartRequestSeq;
+      if (status) {
+        status.style.display = '';
+        status.textContent = 'グラフデータ読み込み中...';
+      }
 
-        if (!dailyData[dateKey]) {
-          dailyData[dateKey] = { prices: [], quantities: [] };
+      let history;
+      try {
+        const response = await fetch(\`/api/history/\${currentMarketData.itemId}?\${params}\`);
+        history = await response.json();
+        if (!response.ok) {
+          throw new Error(history.message || 'History API error: ' + response.status);
         }
-        dailyData[dateKey].prices.push(h.price);
-        dailyData[dateKey].quantities.push(h.quantity);
-      });
+      } catch (error) {
+        console.error('[Frontend] 価格推移取得エラー:', error.message, error);
+        if (seq === chartRequestSeq && status) {
+          status.textContent = 'グラフデータを取得できませんでした: ' + error.message;
+        }
+        return;
+      }
 
-      // 日付順にソート
-      const sortedDates = Object.keys(dailyData).sort();
+      // 新しいリクエストが発行済みなら古い結果は捨てる
+      if (seq !== chartRequestSeq) return;
 
-      // グラフデータを生成
-      const labels = sortedDates.map(date => {
-        const [y, m, d] = date.split('-');
-        return \`\${m}/\${d}\`;
-      });
+      const buckets = history.buckets || [];
+      if (status) {
+        status.style.display = buckets.length > 0 ? 'none' : '';
+        status.textContent = buckets.length > 0 ? '' : 'この期間の取引履歴がありません';
+      }
 
-      const avgPrices = sortedDates.map(date => {
-        const prices = dailyData[date].prices;
-        return Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length);
+      // グラフデータを生成
+      const labels = buckets.map(b => {
+        const date = new Date(b.start * 1000);
+        const md = \`\${String(date.getMonth() + 1).padStart(2, '0')}/\${String(date.getDate()).padStart(2, '0')}\`;
+        if (longRange) return \`\${date.getFullYear()}/\${md}\`;
+        return granularity === 'hour' ? \`\${md} \${String(date.getHours()).padStart(2, '0')}時\` : md;
       });
 
-      const minPrices = sortedDates.map(date => Math.min(...dailyData[date].prices));
-      const maxPrices = sortedDates.map(date => Math.max(...dailyData[date].prices));
+      const avgPrices = buckets.map(b => b.avg);
+      const medianPrices = buckets.map(b => b.median);
+      const minPrices = buckets.map(b => b.min);
+      const maxPrices = buckets.map(b => b.max);
 
       // 既存のグラフがあれば破棄
       if (priceChartInstance) {
         priceChartInstance.destroy();
+        priceChartInstance = null;
       }
 
       // グラフを描画
@@ -1328,6 +6891,16 @@ const HTML_CONTENT = `<!DOCTYPE html>
               tension: 0.1,
               fill: true
             },
+            {
+              label: '中央値',
+              data: medianPrices,
+              borderColor: 'rgb(168, 85, 247)',
+              backgroundColor: 'rgba(168, 85, 247, 0.05)',
+              borderWidth: 1.5,
+              pointRadius: 1,
+              pointHoverRadius: 4,
+              tension: 0.1
+            },
             {
               label: '最低価格',
               data: minPrices,
@@ -1368,6 +6941,10 @@ const HTML_CONTENT = `<!DOCTYPE html>
               callbacks: {
                 label: function(context) {
                   return context.dataset.label + ': ' + context.parsed.y.toLocaleString() + ' Gil';
+                },
+                afterBody: function(items) {
+                  const bucket = buckets[items[0].dataIndex];
+                  return bucket ? \`取引数: \${bucket.sales}件 / 数量: \${bucket.volume.toLocaleString()}個\` : '';
                 }
               }
             }